@@ -27,10 +27,11 @@ async function authFetch(endpoint, options = {}) {
   return response.json();
 }
 
-async function publicFetch(endpoint) {
-  const response = await fetch(`${API_BASE}${endpoint}`);
+async function publicFetch(endpoint, options = {}) {
+  const response = await fetch(`${API_BASE}${endpoint}`, options);
   if (!response.ok) {
-    throw new Error(`Request failed: ${response.status}`);
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error?.message || `Request failed: ${response.status}`);
   }
   return response.json();
 }
@@ -71,22 +72,71 @@ export const api = {
   },
 
   lookupTicker: (ticker) => publicFetch(`/stocks/lookup/${encodeURIComponent(ticker)}`),
-  getStockHistory: (ticker) => publicFetch(`/stocks/history/${encodeURIComponent(ticker)}`),
+  // OHLCV bars and split/dividend events - options: range (1mo...5y, ytd) or days, interval
+  getStockHistory: (ticker, options = {}) => {
+    const params = new URLSearchParams(options);
+    return publicFetch(`/stocks/history/${encodeURIComponent(ticker)}?${params}`);
+  },
+
+  // SMA, EMA, RSI, MACD, Bollinger series - options: set (e.g. 'sma50,rsi14,macd'), range or days
+  getStockIndicators: (ticker, options = {}) => {
+    const params = new URLSearchParams(options);
+    return publicFetch(`/stocks/indicators/${encodeURIComponent(ticker)}?${params}`);
+  },
+
+  // Beta, alpha, volatility, drawdown... per ticker against a benchmark
+  getStockAnalytics: (tickers, options = {}) => {
+    const params = new URLSearchParams({ tickers: tickers.join(','), ...options });
+    return publicFetch(`/stocks/analytics?${params}`);
+  },
 
-  // Correlations - accepts tickers array
-  getCorrelations: (tickers) => {
+  // Correlations - accepts tickers array and options (days, threshold, ...)
+  getCorrelations: (tickers, options = {}) => {
     if (!tickers || tickers.length < 2) {
       return Promise.resolve({ stocks: [], edges: [], calculatedAt: new Date().toISOString() });
     }
-    const tickersParam = tickers.join(',');
-    return publicFetch(`/correlations?tickers=${encodeURIComponent(tickersParam)}`);
+    const params = new URLSearchParams({ tickers: tickers.join(','), ...options });
+    return publicFetch(`/correlations?${params}`);
   },
 
-  refreshCorrelations: (tickers) => {
+  getRollingCorrelation: (a, b, options = {}) => {
+    const params = new URLSearchParams({ a, b, ...options });
+    return publicFetch(`/correlations/rolling?${params}`);
+  },
+
+  getCorrelationChanges: (tickers, options = {}) => {
+    const params = new URLSearchParams({ tickers: tickers.join(','), ...options });
+    return publicFetch(`/correlations/changes?${params}`);
+  },
+
+  getPairAnalysis: (a, b, options = {}) => {
+    const params = new URLSearchParams(options);
+    return publicFetch(`/correlations/pair/${encodeURIComponent(a)}/${encodeURIComponent(b)}?${params}`);
+  },
+
+  getLeadLag: (tickers, options = {}) => {
+    const params = new URLSearchParams({ tickers: tickers.join(','), ...options });
+    return publicFetch(`/lead-lag?${params}`);
+  },
+
+  // Portfolio risk - positions is an array of { ticker, weight }
+  getPortfolioRisk: (positions, options = {}) => publicFetch('/portfolio/risk', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ positions, ...options }),
+  }),
+
+  optimizePortfolio: (tickers, options = {}) => publicFetch('/portfolio/optimize', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ tickers, ...options }),
+  }),
+
+  refreshCorrelations: (tickers, options = {}) => {
     return fetch(`${API_BASE}/correlations/refresh`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ tickers })
+      body: JSON.stringify({ tickers, ...options })
     }).then(r => r.json());
   },
 
@@ -0,0 +1,188 @@
+import { useState, useEffect } from 'react';
+import { api } from '../api';
+import { LineChart, Line, XAxis, YAxis, ReferenceLine, ResponsiveContainer, Tooltip } from 'recharts';
+
+const ROLLING_WINDOWS = [20, 30, 60, 90];
+
+/**
+ * Detail view for one graph edge over the past year:
+ * - Rolling: rolling correlation, to tell a stable relationship from one that only appeared last month
+ * - Spread: Engle-Granger pair analysis, charting the hedged spread with ±2σ bands
+ * The rolling view uses the graph's estimator, weighting, market adjustment and bar interval,
+ * so it charts the same statistic as the edge. The spread works on daily, unadjusted prices
+ * and is unavailable while the graph uses anything else.
+ */
+function PairPanel({ pair, estimator, weighting, adjustFor, interval, onClose }) {
+  const spreadAvailable = interval === '1d' && !adjustFor;
+  const [selectedView, setView] = useState('rolling');
+  const view = spreadAvailable ? selectedView : 'rolling';
+  const [rollingWindow, setRollingWindow] = useState(30);
+  const [rolling, setRolling] = useState(null);
+  const [pairAnalysis, setPairAnalysis] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadView = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        if (view === 'rolling') {
+          const data = await api.getRollingCorrelation(pair.source, pair.target, {
+            window: rollingWindow,
+            estimator,
+            weighting,
+            interval,
+            ...(adjustFor && { adjustFor })
+          });
+          if (!cancelled) setRolling(data);
+        } else {
+          const data = await api.getPairAnalysis(pair.source, pair.target);
+          if (!cancelled) setPairAnalysis(data);
+        }
+      } catch (err) {
+        console.error(`Failed to load ${view} view:`, err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadView();
+    return () => { cancelled = true; };
+  }, [pair.source, pair.target, rollingWindow, estimator, weighting, adjustFor, interval, view]);
+
+  // The effect hasn't fetched yet on the first render after switching views
+  const viewData = view === 'rolling' ? rolling : pairAnalysis;
+
+  const barLabel = interval === '1d' ? 'day' : `${interval} bar`;
+
+  const bands = pairAnalysis && {
+    upper: pairAnalysis.spreadMean + 2 * pairAnalysis.spreadStd,
+    lower: pairAnalysis.spreadMean - 2 * pairAnalysis.spreadStd
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+      <div className="flex justify-between items-center mb-3">
+        <div>
+          <h2 className="text-base font-semibold text-gray-900">
+            {pair.source} / {pair.target} - {view === 'rolling' ? 'Rolling Correlation' : 'Pair Spread'}
+          </h2>
+          <p className="text-gray-500 text-xs">
+            {view === 'rolling'
+              ? `Current ${(pair.correlation * 100).toFixed(0)}% • ${rollingWindow}-${barLabel} window${interval === '1d' ? ' over 1 year' : ''}${adjustFor ? ` • Net of ${adjustFor}` : ''}`
+              : `log(${pair.source}) hedged with log(${pair.target}) over 1 year`}
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <div className="flex rounded-lg border border-gray-200 overflow-hidden">
+            {[['rolling', 'Rolling'], ['spread', 'Spread']].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setView(value)}
+                disabled={value === 'spread' && !spreadAvailable}
+                title={value === 'spread' && !spreadAvailable ? 'Pair spread uses daily prices without market adjustment' : undefined}
+                className={`px-2 py-1 text-xs font-medium transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${view === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-100'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {view === 'rolling' && (
+            <select
+              value={rollingWindow}
+              onChange={(e) => setRollingWindow(Number(e.target.value))}
+              className="px-2 py-1 text-xs border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {ROLLING_WINDOWS.map(value => (
+                <option key={value} value={value}>{value}-{barLabel}</option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={onClose}
+            className="text-xs text-gray-500 hover:text-gray-700"
+          >
+            Close ×
+          </button>
+        </div>
+      </div>
+
+      {view === 'spread' && pairAnalysis && !loading && !error && (
+        <div className="mb-3 flex flex-wrap gap-4 text-xs text-gray-600">
+          <span>Hedge ratio: <span className="font-medium text-gray-900">{pairAnalysis.hedgeRatio.toFixed(3)}</span></span>
+          <span>
+            Cointegrated (5%):{' '}
+            <span className={`font-medium ${pairAnalysis.cointegration.cointegrated ? 'text-green-600' : 'text-red-600'}`}>
+              {pairAnalysis.cointegration.cointegrated ? 'Yes' : 'No'}
+            </span>
+            {' '}(t = {pairAnalysis.cointegration.testStatistic.toFixed(2)} vs {pairAnalysis.cointegration.criticalValues['5%'].toFixed(2)})
+          </span>
+          <span>Half-life: <span className="font-medium text-gray-900">{pairAnalysis.halfLife === null ? 'N/A' : `${pairAnalysis.halfLife} days`}</span></span>
+          <span>
+            Current z:{' '}
+            <span className={`font-medium ${Math.abs(pairAnalysis.zScore) >= 2 ? 'text-amber-600' : 'text-gray-900'}`}>
+              {pairAnalysis.zScore.toFixed(2)}
+            </span>
+          </span>
+        </div>
+      )}
+
+      {loading || (!viewData && !error) ? (
+        <div className="h-48 flex items-center justify-center">
+          <div className="w-6 h-6 border-2 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      ) : error ? (
+        <p className="h-48 flex items-center justify-center text-red-600 text-sm">{error}</p>
+      ) : view === 'rolling' ? (
+        <div className="h-48">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={rolling.series}>
+              <XAxis dataKey="date" tick={{ fontSize: 10 }} minTickGap={40} />
+              <YAxis domain={[-1, 1]} tick={{ fontSize: 10 }} width={30} />
+              <ReferenceLine y={0} stroke="#94a3b8" strokeDasharray="3 3" />
+              <Tooltip
+                formatter={(value) => [value === null ? 'N/A' : value.toFixed(2), 'Correlation']}
+              />
+              <Line
+                type="monotone"
+                dataKey="correlation"
+                stroke="#2563eb"
+                strokeWidth={2}
+                dot={false}
+                connectNulls
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      ) : (
+        <div className="h-48">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={pairAnalysis.spread}>
+              <XAxis dataKey="date" tick={{ fontSize: 10 }} minTickGap={40} />
+              <YAxis tick={{ fontSize: 10 }} width={45} tickFormatter={(value) => value.toFixed(2)} domain={['auto', 'auto']} />
+              <ReferenceLine y={pairAnalysis.spreadMean} stroke="#94a3b8" />
+              <ReferenceLine y={bands.upper} stroke="#f59e0b" strokeDasharray="4 3" label={{ value: '+2σ', fontSize: 10, position: 'right' }} />
+              <ReferenceLine y={bands.lower} stroke="#f59e0b" strokeDasharray="4 3" label={{ value: '-2σ', fontSize: 10, position: 'right' }} />
+              <Tooltip
+                formatter={(value, name, item) => [`${value.toFixed(4)} (z ${item.payload.zScore.toFixed(2)})`, 'Spread']}
+              />
+              <Line
+                type="monotone"
+                dataKey="spread"
+                stroke="#7c3aed"
+                strokeWidth={2}
+                dot={false}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PairPanel;
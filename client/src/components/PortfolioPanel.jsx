@@ -0,0 +1,346 @@
+import { useState, useEffect } from 'react';
+import { api } from '../api';
+import { ComposedChart, Line, Scatter, XAxis, YAxis, ResponsiveContainer, Tooltip } from 'recharts';
+
+const CONFIDENCE_OPTIONS = [0.95, 0.99];
+const OBJECTIVE_LABELS = {
+  minVariance: 'Minimum variance',
+  maxSharpe: 'Maximum Sharpe',
+  riskParity: 'Risk parity'
+};
+// Per-name caps offered in the optimizer ('' = no cap)
+const CAP_OPTIONS = [0.5, 0.4, 0.3, 0.25];
+
+function formatPercent(value, digits = 2) {
+  return `${(value * 100).toFixed(digits)}%`;
+}
+
+function equalWeights(tickers) {
+  return Object.fromEntries(tickers.map(ticker => [ticker, Number((100 / tickers.length).toFixed(2))]));
+}
+
+/**
+ * Risk of the active watchlist held as a portfolio: editable weights (equal by
+ * default), annualized volatility, 1-day VaR / Expected Shortfall and how much
+ * of the total risk each position contributes. The optimizer proposes weights
+ * for a chosen objective and plots them on the efficient frontier.
+ */
+function PortfolioPanel({ tickers }) {
+  const [weights, setWeights] = useState(() => equalWeights(tickers));
+  // Weights as of the last "Calculate", so typing in a field doesn't refetch
+  const [submittedWeights, setSubmittedWeights] = useState(weights);
+  const [confidence, setConfidence] = useState(0.95);
+  const [risk, setRisk] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const [optimizerSettings, setOptimizerSettings] = useState({
+    objective: 'minVariance',
+    cap: '',
+    longOnly: true,
+    targetReturn: ''
+  });
+  const [proposal, setProposal] = useState(null);
+  const [optimizing, setOptimizing] = useState(false);
+  const [optimizeError, setOptimizeError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadRisk = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const positions = tickers.map(ticker => ({ ticker, weight: Number(submittedWeights[ticker]) || 0 }));
+        const data = await api.getPortfolioRisk(positions, { confidence });
+        if (!cancelled) setRisk(data);
+      } catch (err) {
+        console.error('Failed to calculate portfolio risk:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadRisk();
+    return () => { cancelled = true; };
+  }, [tickers, submittedWeights, confidence]);
+
+  const proposeWeights = async () => {
+    setOptimizing(true);
+    setOptimizeError('');
+    try {
+      const { objective, cap, longOnly, targetReturn } = optimizerSettings;
+      const data = await api.optimizePortfolio(tickers, {
+        objective,
+        longOnly,
+        ...(cap !== '' && { cap: Number(cap) }),
+        ...(objective === 'minVariance' && targetReturn !== '' && { targetReturn: Number(targetReturn) / 100 })
+      });
+      setProposal(data);
+    } catch (err) {
+      console.error('Failed to optimize portfolio:', err);
+      setOptimizeError(err.message);
+      setProposal(null);
+    } finally {
+      setOptimizing(false);
+    }
+  };
+
+  const applyProposal = () => {
+    const proposed = Object.fromEntries(
+      proposal.weights.map(({ ticker, weight }) => [ticker, Number((weight * 100).toFixed(2))])
+    );
+    const next = { ...weights, ...proposed };
+    setWeights(next);
+    setSubmittedWeights(next);
+  };
+
+  const updateOptimizerSettings = (changes) => {
+    setOptimizerSettings({ ...optimizerSettings, ...changes });
+  };
+
+  const totalWeight = tickers.reduce((sum, ticker) => sum + (Number(weights[ticker]) || 0), 0);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+      <div className="flex justify-between items-center mb-3">
+        <div>
+          <h2 className="text-base font-semibold text-gray-900">Portfolio Risk</h2>
+          <p className="text-gray-500 text-xs">
+            Watchlist as a portfolio • 1-day horizon over 1 year of daily returns
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={confidence}
+            onChange={(e) => setConfidence(Number(e.target.value))}
+            disabled={loading}
+            className="px-2 py-1 text-xs border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {CONFIDENCE_OPTIONS.map(value => (
+              <option key={value} value={value}>{formatPercent(value, 0)} confidence</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setWeights(equalWeights(tickers))}
+            disabled={loading}
+            className="px-2 py-1 text-xs text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            Equal weight
+          </button>
+          <button
+            onClick={() => setSubmittedWeights(weights)}
+            disabled={loading || totalWeight <= 0}
+            className="px-3 py-1 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white text-xs font-medium rounded-lg transition-colors"
+          >
+            {loading ? 'Calculating...' : 'Calculate'}
+          </button>
+        </div>
+      </div>
+
+      {risk && !error && (
+        <div className="mb-3 grid grid-cols-2 sm:grid-cols-5 gap-2 text-xs">
+          <div className="p-2 rounded-lg bg-gray-50">
+            <p className="text-gray-500">Volatility (ann.)</p>
+            <p className="text-sm font-semibold text-gray-900">{formatPercent(risk.volatility)}</p>
+          </div>
+          <div className="p-2 rounded-lg bg-gray-50">
+            <p className="text-gray-500">VaR (parametric)</p>
+            <p className="text-sm font-semibold text-red-600">{formatPercent(risk.valueAtRisk.parametric)}</p>
+          </div>
+          <div className="p-2 rounded-lg bg-gray-50">
+            <p className="text-gray-500">VaR (historical)</p>
+            <p className="text-sm font-semibold text-red-600">{formatPercent(risk.valueAtRisk.historical)}</p>
+          </div>
+          <div className="p-2 rounded-lg bg-gray-50">
+            <p className="text-gray-500">ES (parametric)</p>
+            <p className="text-sm font-semibold text-red-700">{formatPercent(risk.expectedShortfall.parametric)}</p>
+          </div>
+          <div className="p-2 rounded-lg bg-gray-50">
+            <p className="text-gray-500">ES (historical)</p>
+            <p className="text-sm font-semibold text-red-700">{formatPercent(risk.expectedShortfall.historical)}</p>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="mb-3 text-red-600 text-sm">{error}</p>}
+
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-gray-500 text-left">
+            <th className="py-1 font-medium">Ticker</th>
+            <th className="py-1 font-medium">Weight %</th>
+            <th className="py-1 font-medium text-right">Volatility</th>
+            <th className="py-1 font-medium">Share of risk</th>
+          </tr>
+        </thead>
+        <tbody>
+          {tickers.map(ticker => {
+            const position = risk?.positions.find(p => p.ticker === ticker);
+            return (
+              <tr key={ticker} className="border-t border-gray-100">
+                <td className="py-1 font-semibold text-gray-900">{ticker}</td>
+                <td className="py-1">
+                  <input
+                    type="number"
+                    value={weights[ticker] ?? ''}
+                    onChange={(e) => setWeights({ ...weights, [ticker]: e.target.value })}
+                    step="1"
+                    className="w-16 px-1 py-0.5 border border-gray-200 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </td>
+                <td className="py-1 text-right text-gray-700">
+                  {position ? formatPercent(position.volatility, 1) : '—'}
+                </td>
+                <td className="py-1 pl-3">
+                  {position ? (
+                    <div className="flex items-center gap-2">
+                      <div className="flex-1 h-2 bg-gray-100 rounded">
+                        <div
+                          className="h-2 bg-blue-500 rounded"
+                          style={{ width: `${Math.min(100, Math.max(0, position.riskContributionPct * 100))}%` }}
+                        />
+                      </div>
+                      <span className="w-12 text-right text-gray-700">{formatPercent(position.riskContributionPct, 1)}</span>
+                    </div>
+                  ) : (
+                    <span className="text-gray-400">{risk?.missing.includes(ticker) ? 'No data' : '—'}</span>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="mt-2 text-[10px] text-gray-400">
+        Weights are rescaled to sum to 100%. VaR and ES are 1-day losses as a share of portfolio value.
+      </p>
+
+      {/* Optimizer */}
+      <div className="mt-4 pt-3 border-t border-gray-100">
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <span className="font-medium text-gray-700">Optimize:</span>
+          <select
+            value={optimizerSettings.objective}
+            onChange={(e) => updateOptimizerSettings({ objective: e.target.value })}
+            disabled={optimizing}
+            className="px-2 py-1 text-xs border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {Object.entries(OBJECTIVE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={optimizerSettings.cap}
+            onChange={(e) => updateOptimizerSettings({ cap: e.target.value })}
+            disabled={optimizing}
+            title="Maximum weight per name"
+            className="px-2 py-1 text-xs border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">No cap</option>
+            {CAP_OPTIONS.map(value => (
+              <option key={value} value={value}>Cap {formatPercent(value, 0)}</option>
+            ))}
+          </select>
+          {optimizerSettings.objective !== 'riskParity' && (
+            <label className="flex items-center gap-1 text-gray-600 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={optimizerSettings.longOnly}
+                onChange={(e) => updateOptimizerSettings({ longOnly: e.target.checked })}
+                disabled={optimizing}
+                className="rounded"
+              />
+              Long only
+            </label>
+          )}
+          {optimizerSettings.objective === 'minVariance' && (
+            <input
+              type="number"
+              value={optimizerSettings.targetReturn}
+              onChange={(e) => updateOptimizerSettings({ targetReturn: e.target.value })}
+              disabled={optimizing}
+              placeholder="Target return %"
+              className="w-28 px-2 py-1 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          )}
+          <button
+            onClick={proposeWeights}
+            disabled={optimizing}
+            className="px-3 py-1 bg-gray-900 hover:bg-gray-700 disabled:bg-gray-400 text-white font-medium rounded-lg transition-colors"
+          >
+            {optimizing ? 'Optimizing...' : 'Propose weights'}
+          </button>
+        </div>
+
+        {optimizeError && <p className="mt-2 text-red-600 text-sm">{optimizeError}</p>}
+
+        {proposal && !optimizeError && (
+          <div className="mt-3 grid md:grid-cols-2 gap-4">
+            <div className="h-48">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart margin={{ top: 5, right: 10, bottom: 5, left: 0 }}>
+                  <XAxis
+                    type="number"
+                    dataKey="volatility"
+                    domain={['auto', 'auto']}
+                    tick={{ fontSize: 10 }}
+                    tickFormatter={(value) => formatPercent(value, 0)}
+                    name="Volatility"
+                  />
+                  <YAxis
+                    type="number"
+                    dataKey="expectedReturn"
+                    domain={['auto', 'auto']}
+                    tick={{ fontSize: 10 }}
+                    width={40}
+                    tickFormatter={(value) => formatPercent(value, 0)}
+                    name="Return"
+                  />
+                  <Tooltip
+                    formatter={(value, name) => [formatPercent(value, 1), name]}
+                  />
+                  <Line
+                    data={proposal.frontier}
+                    dataKey="expectedReturn"
+                    name="Frontier"
+                    stroke="#2563eb"
+                    strokeWidth={2}
+                    dot={{ r: 2 }}
+                  />
+                  <Scatter data={proposal.assets} name="Stocks" fill="#94a3b8" />
+                  <Scatter data={[proposal.portfolio]} name="Proposed" fill="#dc2626" />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+            <div className="text-xs">
+              <p className="text-gray-500 mb-2">
+                {OBJECTIVE_LABELS[proposal.objective]}: return {formatPercent(proposal.portfolio.expectedReturn, 1)},
+                volatility {formatPercent(proposal.portfolio.volatility, 1)}
+                {proposal.portfolio.sharpe !== null && `, Sharpe ${proposal.portfolio.sharpe.toFixed(2)}`} (annualized, historical)
+              </p>
+              <div className="grid grid-cols-3 gap-1 mb-3">
+                {proposal.weights.map(({ ticker, weight }) => (
+                  <span key={ticker} className="px-2 py-1 rounded bg-gray-50">
+                    <span className="font-semibold text-gray-900">{ticker}</span>{' '}
+                    <span className={weight < 0 ? 'text-red-600' : 'text-gray-700'}>{formatPercent(weight, 1)}</span>
+                  </span>
+                ))}
+              </div>
+              <button
+                onClick={applyProposal}
+                disabled={loading}
+                className="px-3 py-1 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white font-medium rounded-lg transition-colors"
+              >
+                Use these weights
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PortfolioPanel;
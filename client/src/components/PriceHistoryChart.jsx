@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react';
+import { api } from '../api';
+import { LineChart, ComposedChart, Line, Bar, YAxis, ReferenceLine, ResponsiveContainer, Tooltip } from 'recharts';
+
+const INDICATOR_SET = 'sma50,sma200,bb20,rsi14,macd';
+
+// Price overlays, with the series they draw
+const OVERLAYS = [
+  { id: 'sma50', label: 'SMA 50', lines: [{ dataKey: 'sma50', name: 'SMA 50', stroke: '#f59e0b' }] },
+  { id: 'sma200', label: 'SMA 200', lines: [{ dataKey: 'sma200', name: 'SMA 200', stroke: '#7c3aed' }] },
+  {
+    id: 'bb20',
+    label: 'Bollinger',
+    lines: [
+      { dataKey: 'bb20Upper', name: 'BB upper', stroke: '#94a3b8', strokeDasharray: '4 3' },
+      { dataKey: 'bb20Middle', name: 'BB middle', stroke: '#cbd5e1' },
+      { dataKey: 'bb20Lower', name: 'BB lower', stroke: '#94a3b8', strokeDasharray: '4 3' }
+    ]
+  }
+];
+
+const OSCILLATORS = [['none', 'No oscillator'], ['rsi', 'RSI 14'], ['macd', 'MACD']];
+
+function formatValue(value) {
+  return value === null || value === undefined ? 'N/A' : value.toFixed(2);
+}
+
+/**
+ * Closing prices for one ticker with optional moving-average and Bollinger
+ * overlays, plus an RSI or MACD sub-panel. Indicators are computed server-side
+ * for the same range and joined to the prices by date.
+ */
+function PriceHistoryChart({ ticker, range, prices }) {
+  const [overlays, setOverlays] = useState([]);
+  const [oscillator, setOscillator] = useState('none');
+  const [indicators, setIndicators] = useState(null);
+  const [error, setError] = useState('');
+
+  const wantsIndicators = overlays.length > 0 || oscillator !== 'none';
+
+  useEffect(() => {
+    if (!wantsIndicators) return;
+
+    let cancelled = false;
+
+    const loadIndicators = async () => {
+      setError('');
+      try {
+        const data = await api.getStockIndicators(ticker, { set: INDICATOR_SET, range });
+        if (!cancelled) setIndicators(data);
+      } catch (err) {
+        console.error('Failed to load indicators:', err);
+        if (!cancelled) setError(err.message);
+      }
+    };
+
+    loadIndicators();
+    return () => { cancelled = true; };
+  }, [ticker, range, wantsIndicators]);
+
+  // Ignore indicators fetched for a previous ticker or range until the new ones arrive
+  const current = indicators?.ticker === ticker && indicators?.range === range ? indicators : null;
+  const byDate = new Map((current?.series || []).map(row => [row.date, row]));
+  const data = prices.map(point => ({ ...byDate.get(point.date), ...point }));
+  const activeLines = OVERLAYS.filter(overlay => overlays.includes(overlay.id)).flatMap(overlay => overlay.lines);
+
+  const toggleOverlay = (id) => {
+    setOverlays(previous => (previous.includes(id) ? previous.filter(value => value !== id) : [...previous, id]));
+  };
+
+  return (
+    <div>
+      <div className="h-32">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={data}>
+            <YAxis hide domain={['auto', 'auto']} />
+            <Tooltip
+              formatter={(value, name) => [`$${formatValue(value)}`, name]}
+              labelFormatter={(_, payload) => payload?.[0]?.payload.date}
+            />
+            {current && activeLines.map(line => (
+              <Line
+                key={line.dataKey}
+                type="monotone"
+                dataKey={line.dataKey}
+                name={line.name}
+                stroke={line.stroke}
+                strokeDasharray={line.strokeDasharray}
+                strokeWidth={1}
+                dot={false}
+                isAnimationActive={false}
+              />
+            ))}
+            <Line
+              type="monotone"
+              dataKey="price"
+              name="Price"
+              stroke="#2563eb"
+              strokeWidth={2}
+              dot={false}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mt-2">
+        {OVERLAYS.map(overlay => (
+          <label key={overlay.id} className="flex items-center gap-1 text-xs text-gray-500">
+            <input
+              type="checkbox"
+              checked={overlays.includes(overlay.id)}
+              onChange={() => toggleOverlay(overlay.id)}
+            />
+            {overlay.label}
+          </label>
+        ))}
+        <select
+          value={oscillator}
+          onChange={(e) => setOscillator(e.target.value)}
+          className="px-1 py-0.5 text-xs border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {OSCILLATORS.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        {wantsIndicators && !current && !error && (
+          <span className="text-xs text-gray-400">Loading indicators...</span>
+        )}
+        {error && <span className="text-xs text-red-600">{error}</span>}
+      </div>
+
+      {current && oscillator === 'rsi' && (
+        <div className="h-20 mt-2">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={data}>
+              <YAxis domain={[0, 100]} ticks={[30, 70]} tick={{ fontSize: 10 }} width={25} />
+              <ReferenceLine y={70} stroke="#f87171" strokeDasharray="3 3" />
+              <ReferenceLine y={30} stroke="#4ade80" strokeDasharray="3 3" />
+              <Tooltip
+                formatter={(value) => [formatValue(value), 'RSI 14']}
+                labelFormatter={(_, payload) => payload?.[0]?.payload.date}
+              />
+              <Line type="monotone" dataKey="rsi14" stroke="#0891b2" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {current && oscillator === 'macd' && (
+        <div className="h-20 mt-2">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={data}>
+              <YAxis tick={{ fontSize: 10 }} width={25} tickFormatter={(value) => value.toFixed(1)} />
+              <ReferenceLine y={0} stroke="#94a3b8" />
+              <Tooltip
+                formatter={(value, name) => [formatValue(value), name]}
+                labelFormatter={(_, payload) => payload?.[0]?.payload.date}
+              />
+              <Bar dataKey="macdHistogram" name="Histogram" fill="#cbd5e1" isAnimationActive={false} />
+              <Line type="monotone" dataKey="macd" name="MACD" stroke="#2563eb" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+              <Line type="monotone" dataKey="macdSignal" name="Signal" stroke="#f59e0b" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PriceHistoryChart;
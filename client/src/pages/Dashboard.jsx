@@ -2,6 +2,9 @@ import { useState, useEffect, useRef, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { auth } from '../firebase';
 import { api } from '../api';
+import PairPanel from '../components/PairPanel';
+import PortfolioPanel from '../components/PortfolioPanel';
+import PriceHistoryChart from '../components/PriceHistoryChart';
 import ForceGraph2D from 'react-force-graph-2d';
 import * as d3 from 'd3-force';
 import { LineChart, Line, ResponsiveContainer, Tooltip } from 'recharts';
@@ -10,9 +13,167 @@ const DEFAULT_WATCHLISTS = {
   'Default': ['AAPL', 'MSFT', 'GOOGL', 'AMZN', 'NVDA', 'META', 'TSLA', 'AMD', 'INTC', 'CRM', 'ORCL', 'ADBE', 'NFLX', 'CSCO', 'QCOM', 'IBM', 'AVGO', 'TXN', 'MU', 'UBER']
 };
 
+// Correlation graph controls
+// Lookback buttons per bar interval; Yahoo keeps 15m/5m bars for 60 days and hourly for 2 years
+const WINDOW_OPTIONS = {
+  '1d': [
+    { days: 30, label: '30D' },
+    { days: 60, label: '60D' },
+    { days: 90, label: '90D' },
+    { days: 365, label: '1Y' },
+    { days: 1095, label: '3Y' }
+  ],
+  '1h': [
+    { days: 5, label: '5D' },
+    { days: 10, label: '10D' },
+    { days: 30, label: '30D' },
+    { days: 90, label: '90D' }
+  ],
+  '15m': [
+    { days: 1, label: '1D' },
+    { days: 5, label: '5D' },
+    { days: 10, label: '10D' },
+    { days: 30, label: '30D' }
+  ],
+  '5m': [
+    { days: 1, label: '1D' },
+    { days: 2, label: '2D' },
+    { days: 5, label: '5D' },
+    { days: 10, label: '10D' }
+  ]
+};
+const INTERVAL_LABELS = { '1d': 'Daily', '1h': 'Hourly', '15m': '15 min', '5m': '5 min' };
+const DEFAULT_WINDOW_DAYS = { '1d': 60, '1h': 30, '15m': 10, '5m': 5 };
+const THRESHOLD_OPTIONS = [0.3, 0.4, 0.5, 0.6, 0.7, 0.8];
+const ESTIMATOR_LABELS = { pearson: 'Pearson', spearman: 'Spearman', kendall: 'Kendall' };
+const TOPOLOGY_LABELS = {
+  threshold: 'Threshold',
+  mst: 'Spanning tree',
+  pmfg: 'Planar filtered',
+  knn: 'Top-3 neighbors'
+};
+// Benchmarks for market-adjusted (residual) correlations; '' means raw returns
+const BENCHMARK_OPTIONS = ['SPY', 'QQQ', 'IWM'];
+const DEFAULT_ANALYTICS_BENCHMARK = 'SPY';
+
+// Price history panel lookbacks
+const HISTORY_RANGE_OPTIONS = [
+  { range: '1mo', label: '1M' },
+  { range: '3mo', label: '3M' },
+  { range: '6mo', label: '6M' },
+  { range: 'ytd', label: 'YTD' },
+  { range: '1y', label: '1Y' },
+  { range: '5y', label: '5Y' }
+];
+const DEFAULT_HISTORY_RANGE = '1y';
+
+// One-line summary of the splits and dividends in a history window
+function describeHistoryEvents(events) {
+  const splits = events
+    .filter(event => event.type === 'split')
+    .map(event => `${event.numerator}:${event.denominator} split on ${event.date}`);
+  const dividends = events.filter(event => event.type === 'dividend');
+  const dividendTotal = dividends.reduce((sum, event) => sum + event.amount, 0);
+
+  if (dividends.length > 0) {
+    splits.push(`${dividends.length} dividend${dividends.length === 1 ? '' : 's'} totaling $${dividendTotal.toFixed(2)}`);
+  }
+  return splits.join(' • ');
+}
+const DEFAULT_CORRELATION_SETTINGS = {
+  days: 60,
+  threshold: 0.6,
+  estimator: 'pearson',
+  significantOnly: false,
+  topology: 'threshold',
+  adjustFor: '',
+  weighting: 'equal',
+  groupBy: '',
+  interval: '1d'
+};
+const SETTINGS_STORAGE_KEY = 'correlationSettings';
+
+// Node colors in "color by cluster" mode (cycled if there are more clusters)
+const CLUSTER_COLORS = ['#3b82f6', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316', '#84cc16', '#06b6d4'];
+const UNCLUSTERED_COLOR = '#64748b';
+
+// Yahoo sector names, with a color and a short label for sector super-nodes
+const SECTOR_STYLES = {
+  'Technology': { color: '#3b82f6', short: 'Tech' },
+  'Communication Services': { color: '#8b5cf6', short: 'Comm' },
+  'Consumer Cyclical': { color: '#ec4899', short: 'Cons Cyc' },
+  'Consumer Defensive': { color: '#f472b6', short: 'Cons Def' },
+  'Financial Services': { color: '#14b8a6', short: 'Fin' },
+  'Healthcare': { color: '#22c55e', short: 'Health' },
+  'Industrials': { color: '#f59e0b', short: 'Ind' },
+  'Energy': { color: '#f97316', short: 'Energy' },
+  'Basic Materials': { color: '#a16207', short: 'Mat' },
+  'Utilities': { color: '#06b6d4', short: 'Util' },
+  'Real Estate': { color: '#84cc16', short: 'RE' },
+  'Funds': { color: '#6366f1', short: 'Funds' }
+};
+const UNKNOWN_SECTOR = 'Unknown';
+
+// Mirrors the server's grouping: ETFs/funds have no sector of their own
+function getSectorName(metadata) {
+  if (metadata?.sector) return metadata.sector;
+  if (metadata?.assetType === 'ETF' || metadata?.assetType === 'MUTUALFUND') return 'Funds';
+  return UNKNOWN_SECTOR;
+}
+
+function getSectorColor(sector) {
+  return SECTOR_STYLES[sector]?.color || UNCLUSTERED_COLOR;
+}
+
+// Singleton clusters stay gray so real groups stand out
+function getClusterColor(correlations, ticker) {
+  const id = correlations?.clusterIds?.[ticker];
+  const cluster = correlations?.clusters?.[id];
+  if (!cluster || cluster.members.length < 2) return UNCLUSTERED_COLOR;
+  return CLUSTER_COLORS[id % CLUSTER_COLORS.length];
+}
+
+// Label/value pairs for the price panel's statistics grid
+// Any analytics figure can be null (e.g. beta of a flat or too-short series)
+function formatStat(value, digits = 2) {
+  return value === null || value === undefined ? '—' : value.toFixed(digits);
+}
+
+function formatStatPercent(value, digits = 1) {
+  return value === null || value === undefined ? '—' : `${(value * 100).toFixed(digits)}%`;
+}
+
+function getAnalyticsRows(stats) {
+  return [
+    ['Beta', formatStat(stats.beta)],
+    ['Alpha (ann.)', formatStatPercent(stats.alpha)],
+    ['R²', formatStat(stats.rSquared)],
+    ['Volatility', formatStatPercent(stats.volatility)],
+    ['Max drawdown', formatStatPercent(stats.maxDrawdown)],
+    ['Sharpe', formatStat(stats.sharpe)],
+    ['Downside dev.', formatStatPercent(stats.downsideDeviation)]
+  ];
+}
+
+// Lead-lag arrows are only drawn for pairs whose best lag is significant at this level
+const LEAD_LAG_ALPHA = 0.05;
+
+// d3's default rest length, kept for positive links; negative links use their own longer distance
+const DEFAULT_LINK_DISTANCE = 30;
+
+function loadCorrelationSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+    return { ...DEFAULT_CORRELATION_SETTINGS, ...saved };
+  } catch {
+    return DEFAULT_CORRELATION_SETTINGS;
+  }
+}
+
 function Dashboard() {
   const navigate = useNavigate();
   const [stocks, setStocks] = useState([]);
+  const [quoteErrors, setQuoteErrors] = useState([]);
   const [correlations, setCorrelations] = useState(null);
   const [sentiments, setSentiments] = useState({});
 
@@ -20,6 +181,7 @@ function Dashboard() {
   const [watchlists, setWatchlists] = useState(DEFAULT_WATCHLISTS);
   const [activeWatchlist, setActiveWatchlist] = useState('Default');
   const [correlationsStale, setCorrelationsStale] = useState(false);
+  const [correlationSettings, setCorrelationSettings] = useState(loadCorrelationSettings);
 
   // Loading states
   const [loading, setLoading] = useState(true);
@@ -51,8 +213,29 @@ function Dashboard() {
 
   const [selectedTicker, setSelectedTicker] = useState(null);
   const [priceHistory, setPriceHistory] = useState([]);
+  const [historyEvents, setHistoryEvents] = useState([]);
+  const [historyRange, setHistoryRange] = useState(DEFAULT_HISTORY_RANGE);
   const [historyLoading, setHistoryLoading] = useState(false);
 
+  // Per-ticker risk statistics against a benchmark (tooltip and price panel)
+  const [tickerAnalytics, setTickerAnalytics] = useState(null);
+  const [analyticsBenchmark, setAnalyticsBenchmark] = useState(DEFAULT_ANALYTICS_BENCHMARK);
+
+  // Node coloring: 'sentiment' or 'cluster'
+  const [colorMode, setColorMode] = useState('sentiment');
+
+  // Lead-lag mode: draw leader -> follower arrows instead of correlation edges
+  const [showLeadLag, setShowLeadLag] = useState(false);
+  const [leadLag, setLeadLag] = useState(null);
+  const [leadLagLoading, setLeadLagLoading] = useState(false);
+
+  // "What changed": pairs whose last-30-day correlation moved versus the prior 180 days
+  const [regimeChanges, setRegimeChanges] = useState(null);
+  const [changesLoading, setChangesLoading] = useState(false);
+
+  // Edge clicked in the graph (opens the pair panel)
+  const [selectedPair, setSelectedPair] = useState(null);
+
   // Update graph dimensions when container resizes
   useEffect(() => {
     const updateDimensions = () => {
@@ -79,6 +262,10 @@ function Dashboard() {
         .strength(node => -300 - (node.val * 30))
         .distanceMax(200);
 
+      // Negative links act as long springs so inversely correlated pairs get pushed apart
+      graphRef.current.d3Force('link')
+        .distance(link => (link.negative ? link.distance : DEFAULT_LINK_DISTANCE));
+
       graphRef.current.d3Force('x', d3.forceX(0).strength(0.15));
       graphRef.current.d3Force('y', d3.forceY(0).strength(0.15));
 
@@ -115,14 +302,16 @@ function Dashboard() {
         const [stocksData, correlationsData] = await Promise.all([
           api.getStocks(tickers),
           tickers.length >= 2
-            ? api.getCorrelations(tickers)
+            ? api.getCorrelations(tickers, correlationSettings)
             : Promise.resolve({ stocks: [], edges: [], calculatedAt: new Date().toISOString() })
         ]);
 
         setStocks(stocksData.stocks);
+        setQuoteErrors(stocksData.errors || []);
         setCorrelations(correlationsData);
       } else {
         setStocks([]);
+        setQuoteErrors([]);
         setCorrelations({ stocks: [], edges: [], calculatedAt: new Date().toISOString() });
       }
 
@@ -130,6 +319,7 @@ function Dashboard() {
 
       // Pass tickers directly!
       loadSentiment(tickers);
+      loadAnalytics(tickers);
 
     } catch (err) {
       console.error('Failed to load data:', err);
@@ -164,22 +354,48 @@ function Dashboard() {
     }
   };
 
-  const loadPriceHistory = async (ticker) => {
+  const loadAnalytics = async (tickers, benchmark = analyticsBenchmark) => {
+    if (!tickers || tickers.length === 0) {
+      setTickerAnalytics(null);
+      return;
+    }
+
+    try {
+      const data = await api.getStockAnalytics(tickers, { benchmark });
+      setTickerAnalytics(data);
+    } catch (err) {
+      console.error('Failed to load analytics:', err);
+    }
+  };
+
+  const changeAnalyticsBenchmark = (benchmark) => {
+    setAnalyticsBenchmark(benchmark);
+    loadAnalytics(currentWatchlist, benchmark);
+  };
+
+  const loadPriceHistory = async (ticker, range = historyRange) => {
+    if (ticker !== selectedTicker) {
+      setPriceHistory([]);
+      setHistoryEvents([]);
+    }
     setSelectedTicker(ticker);
+    setHistoryRange(range);
     setHistoryLoading(true);
     try {
-      const data = await api.getStockHistory(ticker);
-      setPriceHistory(data.prices.map((price, i) => ({ day: i, price })));
+      const data = await api.getStockHistory(ticker, { range });
+      setPriceHistory(data.bars.map(({ date, close }) => ({ date, price: close })));
+      setHistoryEvents(data.events);
     } catch (err) {
       console.error('Failed to load history:', err);
       setPriceHistory([]);
+      setHistoryEvents([]);
     } finally {
       setHistoryLoading(false);
     }
   };
 
-  // Refresh correlations only (when user clicks "Update Graph")
-  const refreshCorrelations = async () => {
+  // Refresh correlations only (when user clicks "Update Graph" or changes graph settings)
+  const refreshCorrelations = async (settings = correlationSettings) => {
     if (currentWatchlist.length < 2) {
       setCorrelations({ stocks: [], edges: [], calculatedAt: new Date().toISOString() });
       setCorrelationsStale(false);
@@ -191,12 +407,14 @@ function Dashboard() {
       // Fetch both stocks and correlations for current watchlist
       const [stocksData, correlationsData] = await Promise.all([
         api.getStocks(currentWatchlist),
-        api.getCorrelations(currentWatchlist)
+        api.getCorrelations(currentWatchlist, settings)
       ]);
 
       setStocks(stocksData.stocks);
+      setQuoteErrors(stocksData.errors || []);
       setCorrelations(correlationsData);
       setCorrelationsStale(false);
+      loadAnalytics(currentWatchlist);
     } catch (err) {
       console.error('Failed to refresh correlations:', err);
       setError(err.message);
@@ -209,7 +427,7 @@ function Dashboard() {
     setLoading(true);
     try {
       await Promise.all([
-        api.refreshCorrelations(currentWatchlist),
+        api.refreshCorrelations(currentWatchlist, correlationSettings),
         api.refreshSentiment(currentWatchlist)
       ]);
       window.location.reload();
@@ -220,6 +438,55 @@ function Dashboard() {
     }
   };
 
+  // Toggle lead-lag arrows, fetching fresh lead-lag data for the current watchlist
+  const toggleLeadLag = async () => {
+    if (showLeadLag) {
+      setShowLeadLag(false);
+      return;
+    }
+
+    setLeadLagLoading(true);
+    try {
+      const data = await api.getLeadLag(currentWatchlist);
+      setLeadLag(data);
+      setShowLeadLag(true);
+    } catch (err) {
+      console.error('Failed to load lead-lag:', err);
+      setError(err.message);
+    } finally {
+      setLeadLagLoading(false);
+    }
+  };
+
+  // Toggle the "what changed" list and edge highlighting
+  const toggleRegimeChanges = async () => {
+    if (regimeChanges) {
+      setRegimeChanges(null);
+      return;
+    }
+
+    setChangesLoading(true);
+    try {
+      const data = await api.getCorrelationChanges(currentWatchlist, {
+        estimator: correlationSettings.estimator
+      });
+      setRegimeChanges(data);
+    } catch (err) {
+      console.error('Failed to load correlation changes:', err);
+      setError(err.message);
+    } finally {
+      setChangesLoading(false);
+    }
+  };
+
+  // Change lookback window / threshold and re-render the graph
+  const updateCorrelationSettings = (changes) => {
+    const updated = { ...correlationSettings, ...changes };
+    setCorrelationSettings(updated);
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(updated));
+    refreshCorrelations(updated);
+  };
+
   // Add ticker to current watchlist
   const addTickerToWatchlist = async (e) => {
     e.preventDefault();
@@ -406,14 +673,78 @@ function Dashboard() {
   // Prepare graph data with neighbor references for highlighting
   const graphData = useMemo(() => {
     if (!correlations) return { nodes: [], links: [] };
+
+    // Sector super-nodes: one node per sector, linked by average cross-sector correlation
+    const groups = !showLeadLag && correlations.groups;
+    if (groups) {
+      const groupEdges = [];
+      groups.names.forEach((source, i) => {
+        groups.names.forEach((target, j) => {
+          const value = groups.matrix[i][j];
+          if (j > i && value !== null && Math.abs(value) >= correlations.threshold) {
+            groupEdges.push({ source, target, correlation: value, sign: value < 0 ? 'negative' : 'positive' });
+          }
+        });
+      });
+      const groupSizes = calculateNodeSizes(groupEdges, groups.names);
+
+      const nodes = groups.names.map((name, i) => ({
+        id: name,
+        name,
+        label: SECTOR_STYLES[name]?.short || name,
+        val: groupSizes[name] + 2 * Math.sqrt(groups.members[name].length),
+        color: getSectorColor(name),
+        members: groups.members[name],
+        withinCorrelation: groups.matrix[i][i],
+        connections: groupEdges.filter(edge => edge.source === name || edge.target === name).length,
+        neighbors: new Set(),
+        links: new Set()
+      }));
+      const nodeMap = new Map(nodes.map(node => [node.id, node]));
+
+      const links = groupEdges.map(edge => ({
+        source: edge.source,
+        target: edge.target,
+        value: edge.correlation,
+        negative: edge.sign === 'negative',
+        group: true,
+        distance: 200 * (1 - edge.correlation)
+      }));
+      links.forEach(link => {
+        const sourceNode = nodeMap.get(link.source);
+        const targetNode = nodeMap.get(link.target);
+        sourceNode.neighbors.add(targetNode);
+        targetNode.neighbors.add(sourceNode);
+        sourceNode.links.add(link);
+        targetNode.links.add(link);
+      });
+
+      return { nodes, links };
+    }
+
+    // In lead-lag mode, edges point from leader to follower
+    const edges = showLeadLag && leadLag
+      ? leadLag.pairs
+        .filter(pair => pair.leader && pair.pValue !== null && pair.pValue < LEAD_LAG_ALPHA)
+        .filter(pair => correlations.stocks.includes(pair.leader) && correlations.stocks.includes(pair.follower))
+        .map(pair => ({
+          source: pair.leader,
+          target: pair.follower,
+          correlation: pair.correlation,
+          sign: pair.correlation < 0 ? 'negative' : 'positive',
+          observations: pair.observations,
+          pValue: pair.pValue,
+          lagDays: pair.lagDays
+        }))
+      : correlations.edges;
     
-    const nodeSizes = calculateNodeSizes(correlations.edges, correlations.stocks);
+    const nodeSizes = calculateNodeSizes(edges, correlations.stocks);
 
     const connectionCounts = {};
     correlations.stocks.forEach(ticker => {
       connectionCounts[ticker] = 0;
     });
-    correlations.edges.forEach(edge => {
+    edges.forEach(edge => {
       connectionCounts[edge.source] = (connectionCounts[edge.source] || 0) + 1;
       connectionCounts[edge.target] = (connectionCounts[edge.target] || 0) + 1;
     });
@@ -426,17 +757,24 @@ function Dashboard() {
         id: ticker,
         name: ticker,
         val: nodeSizes[ticker],
-        color: getNodeColor(sentiment),
+        color: colorMode === 'cluster'
+          ? getClusterColor(correlations, ticker)
+          : colorMode === 'sector'
+            ? getSectorColor(getSectorName(correlations.metadata?.[ticker]))
+            : getNodeColor(sentiment),
         sentiment: sentiment,
         stock: stock,
-        glow: shouldGlow(sentiment),
+        analytics: tickerAnalytics?.analytics?.[ticker],
+        metadata: correlations.metadata?.[ticker],
+        cluster: correlations.clusterIds?.[ticker],
+        glow: colorMode === 'sentiment' && shouldGlow(sentiment),
         connections: connectionCounts[ticker] || 0,
         neighbors: new Set(),
         links: new Set()
       };
     });
 
-    const links = correlations.edges.map(edge => {
+    const links = edges.map(edge => {
       const sourceSize = nodeSizes[edge.source];
       const targetSize = nodeSizes[edge.target];
       const avgNodeSize = (sourceSize + targetSize) / 2;
@@ -447,10 +785,25 @@ function Dashboard() {
         source: edge.source,
         target: edge.target,
         value: edge.correlation,
+        negative: edge.sign === 'negative',
+        ci: edge.ci,
+        pValue: edge.pValue,
+        observations: edge.observations,
+        lagDays: edge.lagDays,
         distance: baseDistance + sizeBuffer,
       };
     });
 
+    // Flag edges whose correlation broke from (or snapped into) its baseline
+    const changedPairs = new Set();
+    regimeChanges?.changes.forEach(change => {
+      changedPairs.add(`${change.source}-${change.target}`);
+      changedPairs.add(`${change.target}-${change.source}`);
+    });
+    links.forEach(link => {
+      link.changed = changedPairs.has(`${link.source}-${link.target}`);
+    });
+
     const nodeMap = new Map(nodes.map(node => [node.id, node]));
     
     links.forEach(link => {
@@ -466,7 +819,7 @@ function Dashboard() {
     });
 
     return { nodes, links };
-  }, [correlations, stocks, sentiments]);
+  }, [correlations, stocks, sentiments, tickerAnalytics, colorMode, showLeadLag, leadLag, regimeChanges]);
 
   // Loading screen
   if (loading) {
@@ -534,10 +887,177 @@ function Dashboard() {
               <div>
                 <h2 className="text-base font-semibold text-gray-900">Stock Correlation Network</h2>
                 <p className="text-gray-500 text-xs">
-                  {correlations?.fromCache ? 'Cached' : 'Fresh'} • Updated {correlations?.calculatedAt ? new Date(correlations.calculatedAt).toLocaleString() : 'N/A'}
+                  {correlations?.fromCache ? 'Cached' : 'Fresh'} • {ESTIMATOR_LABELS[correlations?.estimator] || 'Pearson'}
+                  {correlations?.interval && correlations.interval !== '1d' && ` • ${INTERVAL_LABELS[correlations.interval]} bars`}
+                  {correlations?.weighting?.type === 'ewma' && ` • EWMA ${correlations.weighting.halfLife}-obs half-life`}
+                  {correlations?.adjustFor && ` • Net of ${correlations.adjustFor}`} • Updated {correlations?.calculatedAt ? new Date(correlations.calculatedAt).toLocaleString() : 'N/A'}
                 </p>
+                {correlations?.diversification && (
+                  <div className="flex items-center gap-2 mt-1 text-xs text-gray-600">
+                    <span
+                      title={`Effective number of independent bets from the eigenvalues of the correlation matrix. Biggest contributors to concentration: ${correlations.diversification.topContributors.map(c => `${c.ticker} (${(c.contribution * 100).toFixed(0)}%)`).join(', ')}`}
+                    >
+                      Diversification{' '}
+                      <span className={`font-semibold ${correlations.diversification.score >= 0.6 ? 'text-green-600' : correlations.diversification.score >= 0.35 ? 'text-amber-600' : 'text-red-600'}`}>
+                        {(correlations.diversification.score * 100).toFixed(0)}%
+                      </span>
+                      {' '}• {correlations.diversification.effectiveBets.toFixed(1)} bets of {correlations.stocks.length}
+                      {correlations.diversification.averageCorrelation !== null && ` • avg ρ ${correlations.diversification.averageCorrelation.toFixed(2)}`}
+                      {' '}• top factor {(correlations.diversification.concentrationRatio * 100).toFixed(0)}%
+                      {' '}• driven by {correlations.diversification.topContributors.map(c => c.ticker).join(', ')}
+                    </span>
+                    {correlations.diversification.history?.length > 1 && (
+                      <div className="w-20 h-5" title="Effective bets over time">
+                        <ResponsiveContainer width="100%" height="100%">
+                          <LineChart data={correlations.diversification.history}>
+                            <Tooltip
+                              formatter={(value) => [value.toFixed(2), 'Effective bets']}
+                              labelFormatter={(_, payload) => payload?.[0]?.payload.date}
+                            />
+                            <Line type="monotone" dataKey="effectiveBets" stroke="#2563eb" strokeWidth={1.5} dot={false} />
+                          </LineChart>
+                        </ResponsiveContainer>
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
               <div className="flex items-center gap-3">
+                <div className="flex rounded-lg border border-gray-200 overflow-hidden">
+                  {WINDOW_OPTIONS[correlationSettings.interval].map(option => (
+                    <button
+                      key={option.days}
+                      onClick={() => updateCorrelationSettings({ days: option.days })}
+                      disabled={correlationsLoading}
+                      className={`px-2 py-1 text-xs font-medium transition-colors ${correlationSettings.days === option.days ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-100'}`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+                <select
+                  value={correlationSettings.interval}
+                  onChange={(e) => updateCorrelationSettings({
+                    interval: e.target.value,
+                    days: DEFAULT_WINDOW_DAYS[e.target.value]
+                  })}
+                  disabled={correlationsLoading}
+                  title="Bar size"
+                  className="px-1 py-1 text-xs border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {Object.entries(INTERVAL_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label} bars</option>
+                  ))}
+                </select>
+                <select
+                  value={colorMode}
+                  onChange={(e) => setColorMode(e.target.value)}
+                  title="Node coloring"
+                  className="px-1 py-1 text-xs border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="sentiment">Color: sentiment</option>
+                  <option value="cluster">Color: cluster</option>
+                  <option value="sector">Color: sector</option>
+                </select>
+                <select
+                  value={correlationSettings.groupBy}
+                  onChange={(e) => updateCorrelationSettings({ groupBy: e.target.value })}
+                  disabled={correlationsLoading}
+                  title="Show stocks, or collapse them into sector super-nodes"
+                  className="px-1 py-1 text-xs border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Nodes: stocks</option>
+                  <option value="sector">Nodes: sectors</option>
+                </select>
+                <select
+                  value={correlationSettings.estimator}
+                  onChange={(e) => updateCorrelationSettings({
+                    estimator: e.target.value,
+                    // EWMA weighting is Pearson-only
+                    ...(e.target.value !== 'pearson' && { weighting: 'equal' })
+                  })}
+                  disabled={correlationsLoading}
+                  title="Correlation method"
+                  className="px-1 py-1 text-xs border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {Object.entries(ESTIMATOR_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <select
+                  value={correlationSettings.weighting}
+                  onChange={(e) => updateCorrelationSettings({
+                    weighting: e.target.value,
+                    ...(e.target.value === 'ewma' && { estimator: 'pearson' })
+                  })}
+                  disabled={correlationsLoading}
+                  title="Weight recent observations more heavily (EWMA, 10-observation half-life)"
+                  className="px-1 py-1 text-xs border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="equal">Equal weight</option>
+                  <option value="ewma">EWMA</option>
+                </select>
+                <select
+                  value={correlationSettings.adjustFor}
+                  onChange={(e) => updateCorrelationSettings({ adjustFor: e.target.value })}
+                  disabled={correlationsLoading}
+                  title="Remove market co-movement by correlating residuals against a benchmark"
+                  className="px-1 py-1 text-xs border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Raw returns</option>
+                  {BENCHMARK_OPTIONS.map(benchmark => (
+                    <option key={benchmark} value={benchmark}>Net of {benchmark}</option>
+                  ))}
+                </select>
+                <select
+                  value={correlationSettings.topology}
+                  onChange={(e) => updateCorrelationSettings({ topology: e.target.value })}
+                  disabled={correlationsLoading}
+                  title="Which edges to draw"
+                  className="px-1 py-1 text-xs border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {Object.entries(TOPOLOGY_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <label className="flex items-center gap-1 text-xs text-gray-500">
+                  Min |ρ|
+                  <select
+                    value={correlationSettings.threshold}
+                    onChange={(e) => updateCorrelationSettings({ threshold: Number(e.target.value) })}
+                    disabled={correlationsLoading || correlationSettings.topology !== 'threshold'}
+                    className="px-1 py-1 text-xs border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {THRESHOLD_OPTIONS.map(value => (
+                      <option key={value} value={value}>{value.toFixed(1)}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="flex items-center gap-1 text-xs text-gray-500" title="Hide edges that are not statistically significant at 5%">
+                  <input
+                    type="checkbox"
+                    checked={correlationSettings.significantOnly}
+                    onChange={(e) => updateCorrelationSettings({ significantOnly: e.target.checked })}
+                    disabled={correlationsLoading}
+                  />
+                  Significant only
+                </label>
+                <button
+                  onClick={toggleRegimeChanges}
+                  disabled={changesLoading || currentWatchlist.length < 2 || correlationSettings.interval !== '1d'}
+                  title="Pairs whose last-30-day correlation moved versus the prior 180 days (daily bars)"
+                  className={`px-3 py-1.5 rounded-lg transition-colors text-xs font-medium ${regimeChanges ? 'bg-amber-500 text-white hover:bg-amber-600' : 'bg-amber-50 text-amber-700 hover:bg-amber-100'}`}
+                >
+                  {changesLoading ? 'Loading...' : 'What changed'}
+                </button>
+                <button
+                  onClick={toggleLeadLag}
+                  disabled={leadLagLoading || currentWatchlist.length < 2}
+                  title="Show which stocks tend to move a few days before others"
+                  className={`px-3 py-1.5 rounded-lg transition-colors text-xs font-medium ${showLeadLag ? 'bg-blue-600 text-white hover:bg-blue-700' : 'bg-blue-50 text-blue-600 hover:bg-blue-100'}`}
+                >
+                  {leadLagLoading ? 'Loading...' : 'Lead-lag'}
+                </button>
                 <button
                   onClick={centerGraph}
                   className="px-3 py-1.5 bg-blue-50 hover:bg-blue-100 text-blue-600 rounded-lg transition-colors text-xs font-medium"
@@ -545,7 +1065,7 @@ function Dashboard() {
                   Center View
                 </button>
                 <span className="text-gray-500 text-xs">
-                  {correlations?.edges?.length || 0} connections
+                  {graphData.links.length} {showLeadLag ? 'lead-lag links' : 'connections'}
                 </span>
               </div>
             </div>
@@ -559,7 +1079,7 @@ function Dashboard() {
                     : 'Watchlist changed — click to update graph'}
                 </span>
                 <button
-                  onClick={refreshCorrelations}
+                  onClick={() => refreshCorrelations()}
                   disabled={correlationsLoading || currentWatchlist.length < 2}
                   className="px-3 py-1 bg-amber-600 hover:bg-amber-700 disabled:bg-amber-300 text-white text-sm font-medium rounded-lg transition-colors flex items-center gap-2"
                 >
@@ -589,12 +1109,12 @@ function Dashboard() {
               <div className="mb-3 flex gap-2 flex-wrap items-center">
                 <span className="text-gray-500 text-xs">Strongest:</span>
                 {[...correlations.edges]
-                  .sort((a, b) => b.correlation - a.correlation)
+                  .sort((a, b) => Math.abs(b.correlation) - Math.abs(a.correlation))
                   .slice(0, 3)
                   .map(edge => (
                     <span
                       key={`${edge.source}-${edge.target}`}
-                      className="px-2 py-0.5 bg-blue-50 text-blue-700 rounded-full text-xs font-medium"
+                      className={`px-2 py-0.5 rounded-full text-xs font-medium ${edge.sign === 'negative' ? 'bg-red-50 text-red-700' : 'bg-blue-50 text-blue-700'}`}
                     >
                       {edge.source}-{edge.target} ({(edge.correlation * 100).toFixed(0)}%)
                     </span>
@@ -603,6 +1123,32 @@ function Dashboard() {
               </div>
             )}
 
+            {/* What changed (regime shifts) */}
+            {regimeChanges && (
+              <div className="mb-3 bg-amber-50 border border-amber-200 rounded-lg px-4 py-2">
+                <div className="text-amber-900 text-xs font-medium mb-1">
+                  What changed: since {regimeChanges.recent.start} vs {regimeChanges.baseline.start} to {regimeChanges.baseline.end} (moves of {Math.round(regimeChanges.minChange * 100)}+ points)
+                </div>
+                {regimeChanges.changes.length > 0 ? (
+                  <div className="flex gap-2 flex-wrap">
+                    {regimeChanges.changes.map(change => (
+                      <span
+                        key={`${change.source}-${change.target}`}
+                        className="px-2 py-0.5 bg-white border border-amber-200 text-amber-800 rounded-full text-xs"
+                      >
+                        {change.source}-{change.target}: {(change.before * 100).toFixed(0)}% → {(change.after * 100).toFixed(0)}%
+                        <span className={change.change < 0 ? 'text-red-600' : 'text-green-600'}>
+                          {' '}({change.change > 0 ? '+' : ''}{(change.change * 100).toFixed(0)})
+                        </span>
+                      </span>
+                    ))}
+                  </div>
+                ) : (
+                  <span className="text-amber-800 text-xs">No relationships moved that much</span>
+                )}
+              </div>
+            )}
+
             <div ref={containerRef} className="bg-slate-900 rounded-xl overflow-hidden" style={{ height: '770px' }}>
               {graphData.nodes.length > 0 ? (
                 <ForceGraph2D
@@ -612,22 +1158,61 @@ function Dashboard() {
                   height={graphDimensions.height}
                   onNodeHover={handleNodeHover}
                   nodeLabel={node => {
+                    if (node.members) {
+                      return [
+                        node.id,
+                        node.members.join(', '),
+                        node.withinCorrelation !== null ? `Avg correlation within: ${(node.withinCorrelation * 100).toFixed(0)}%` : 'Single stock',
+                        '',
+                        `Connections: ${node.connections}`
+                      ].join('\n');
+                    }
                     const lines = [node.id];
+                    if (node.metadata?.sector) {
+                      lines.push(`${node.metadata.sector} • ${node.metadata.industry}`);
+                    }
                     if (node.stock) {
                       lines.push(`$${node.stock.price.toFixed(2)}`);
                       lines.push(`${node.stock.change >= 0 ? '+' : ''}${node.stock.changePercent.toFixed(2)}%`);
                     }
+                    if (node.analytics) {
+                      lines.push('');
+                      lines.push(`β ${formatStat(node.analytics.beta)} vs ${tickerAnalytics.benchmark} • R² ${formatStat(node.analytics.rSquared)}`);
+                      lines.push(`Vol ${formatStatPercent(node.analytics.volatility, 0)} • Max DD ${formatStatPercent(node.analytics.maxDrawdown, 0)}`);
+                    }
                     if (node.sentiment && node.sentiment.confidence >= 50) {
                       lines.push('');
                       lines.push(node.sentiment.summary);
                     }
                     lines.push('');
                     lines.push(`Connections: ${node.connections}`);
+                    if (node.cluster !== undefined) {
+                      lines.push(`Cluster: ${node.cluster + 1}`);
+                    }
+                    return lines.join('\n');
+                  }}
+                  linkLabel={link => {
+                    const lines = link.lagDays
+                      ? [
+                        `${link.source.id || link.source} leads ${link.target.id || link.target} by ${link.lagDays} day${link.lagDays > 1 ? 's' : ''}`,
+                        `Lagged correlation: ${(link.value * 100).toFixed(0)}%`
+                      ]
+                      : [`Correlation: ${(link.value * 100).toFixed(0)}%`];
+                    if (link.ci) {
+                      lines.push(`${Math.round((1 - (correlations.alpha ?? 0.05)) * 100)}% CI: ${(link.ci[0] * 100).toFixed(0)}% to ${(link.ci[1] * 100).toFixed(0)}%`);
+                    }
+                    if (link.pValue !== null && link.pValue !== undefined) {
+                      lines.push(`p = ${link.pValue < 0.001 ? '<0.001' : link.pValue.toFixed(3)}, n = ${link.observations}`);
+                    }
+                    if (!link.group) {
+                      lines.push('(click for history)');
+                    } else {
+                      lines[0] = `Average correlation: ${(link.value * 100).toFixed(0)}%`;
+                    }
                     return lines.join('\n');
                   }}
-                  linkLabel={link => `Correlation: ${(link.value * 100).toFixed(0)}%`}
                   nodeCanvasObject={(node, ctx, globalScale) => {
-                    const label = node.id;
+                    const label = node.label || node.id;
                     const fontSize = (node.val * 0.8) / globalScale;
                     
                     // Check by ID instead of object reference
@@ -668,18 +1253,24 @@ function Dashboard() {
                   }}
                   linkWidth={link => {
                     const linkId = `${link.source.id || link.source}-${link.target.id || link.target}`;
-                    return highlightLinks.has(linkId) ? 4 : 2;
+                    return highlightLinks.has(linkId) || link.changed ? 4 : 2;
                   }}
                   linkColor={link => {
                     const linkId = `${link.source.id || link.source}-${link.target.id || link.target}`;
                     if (highlightLinks.has(linkId)) {
-                      return 'rgba(255, 255, 255, 0.9)';
+                      return link.negative ? 'rgba(248, 113, 113, 0.9)' : 'rgba(255, 255, 255, 0.9)';
                     }
                     if (hoverNode) {
-                      return 'rgba(148, 163, 184, 0.1)';
+                      return link.negative ? 'rgba(248, 113, 113, 0.1)' : 'rgba(148, 163, 184, 0.1)';
+                    }
+                    if (link.changed) {
+                      return 'rgba(251, 191, 36, 0.9)';
                     }
-                    return 'rgba(148, 163, 184, 0.5)';
+                    return link.negative ? 'rgba(248, 113, 113, 0.6)' : 'rgba(148, 163, 184, 0.5)';
                   }}
+                  linkLineDash={link => (link.negative ? [4, 3] : null)}
+                  linkDirectionalArrowLength={link => (link.lagDays ? 6 : 0)}
+                  linkDirectionalArrowRelPos={1}
                   linkDistance={link => link.distance}
                   backgroundColor="#0f172a"
                   d3VelocityDecay={0.5}
@@ -698,6 +1289,14 @@ function Dashboard() {
 
                     alert(message);
                   }}
+                  onLinkClick={(link) => {
+                    if (link.group) return;
+                    setSelectedPair({
+                      source: link.source.id || link.source,
+                      target: link.target.id || link.target,
+                      correlation: link.value
+                    });
+                  }}
                 />
               ) : (
                 <div className="h-full flex items-center justify-center">
@@ -707,12 +1306,61 @@ function Dashboard() {
             </div>
 
             {/* Legend */}
+            {(colorMode === 'sector' || correlations?.groups) && correlations?.metadata && (
+              <div className="mt-3 flex flex-wrap gap-3 text-xs text-gray-600">
+                <span className="font-medium text-gray-700">Sectors:</span>
+                {[...new Set(correlations.stocks.map(ticker => getSectorName(correlations.metadata[ticker])))]
+                  .sort()
+                  .map(sector => (
+                    <span key={sector} className="flex items-center gap-1">
+                      <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: getSectorColor(sector) }}></span>
+                      {sector}
+                      <span className="text-gray-400">
+                        ({correlations.stocks.filter(ticker => getSectorName(correlations.metadata[ticker]) === sector).join(', ')})
+                      </span>
+                    </span>
+                  ))}
+              </div>
+            )}
+            {colorMode === 'cluster' && correlations?.clusters?.length > 0 && (
+              <div className="mt-3 flex flex-wrap gap-3 text-xs text-gray-600">
+                <span className="font-medium text-gray-700">Clusters:</span>
+                {correlations.clusters
+                  .filter(cluster => cluster.members.length > 1)
+                  .map(cluster => (
+                    <span key={cluster.id} className="flex items-center gap-1">
+                      <span
+                        className="w-2.5 h-2.5 rounded-full"
+                        style={{ backgroundColor: CLUSTER_COLORS[cluster.id % CLUSTER_COLORS.length] }}
+                      ></span>
+                      {cluster.members.join(', ')}
+                      {cluster.averageCorrelation !== null && (
+                        <span className="text-gray-400">(avg {(cluster.averageCorrelation * 100).toFixed(0)}%)</span>
+                      )}
+                    </span>
+                  ))}
+                {correlations.clusters.some(cluster => cluster.members.length === 1) && (
+                  <span className="flex items-center gap-1">
+                    <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: UNCLUSTERED_COLOR }}></span>
+                    Unclustered: {correlations.clusters
+                      .filter(cluster => cluster.members.length === 1)
+                      .map(cluster => cluster.members[0])
+                      .join(', ')}
+                  </span>
+                )}
+              </div>
+            )}
             <div className="mt-3 flex flex-wrap gap-6 text-xs text-gray-500">
               <div className="flex items-center gap-4">
                 <span className="font-medium text-gray-700">Node Size:</span>
                 <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full bg-blue-500"></span> Small = isolated</span>
                 <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-full bg-blue-500"></span> Large = hub</span>
               </div>
+              <div className="flex items-center gap-4">
+                <span className="font-medium text-gray-700">Links:</span>
+                <span className="flex items-center gap-1"><span className="w-4 border-t-2 border-slate-400"></span> Move together</span>
+                <span className="flex items-center gap-1"><span className="w-4 border-t-2 border-dashed border-red-400"></span> Move inversely</span>
+              </div>
               <div className="flex items-center gap-4">
                 <span className="font-medium text-gray-700">Distance:</span>
                 <span>Close = high correlation</span>
@@ -721,37 +1369,87 @@ function Dashboard() {
             </div>
           </div>
 
+          {/* Pair detail (opened by clicking an edge) */}
+          {selectedPair && (
+            <PairPanel
+              key={`${selectedPair.source}-${selectedPair.target}`}
+              pair={selectedPair}
+              estimator={correlationSettings.estimator}
+              weighting={correlationSettings.weighting}
+              adjustFor={correlationSettings.adjustFor}
+              interval={correlationSettings.interval}
+              onClose={() => setSelectedPair(null)}
+            />
+          )}
+
+          {/* Active watchlist held as a portfolio */}
+          {currentWatchlist.length >= 2 && (
+            <PortfolioPanel
+              key={`${activeWatchlist}-${currentWatchlist.join(',')}`}
+              tickers={currentWatchlist}
+            />
+          )}
+
           {/* Stock List and Watchlist */}
           <div className="grid lg:grid-cols-2 gap-4">
             {/* Live Prices */}
             <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
               <h2 className="text-base font-semibold text-gray-900 mb-3">
-                {selectedTicker ? `${selectedTicker} - 1 Year History` : 'Live Prices'}
+                {selectedTicker ? `${selectedTicker} - Price History` : 'Live Prices'}
               </h2>
               
               {selectedTicker && (
                 <div className="mb-4">
-                  {historyLoading ? (
+                  <div className="flex rounded-lg border border-gray-200 overflow-hidden w-fit mb-2">
+                    {HISTORY_RANGE_OPTIONS.map(option => (
+                      <button
+                        key={option.range}
+                        onClick={() => loadPriceHistory(selectedTicker, option.range)}
+                        disabled={historyLoading}
+                        className={`px-2 py-1 text-xs font-medium transition-colors ${historyRange === option.range ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-100'}`}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                  {/* Stays mounted across range and ticker changes so the chosen overlays are kept */}
+                  {historyLoading && priceHistory.length === 0 ? (
                     <div className="h-32 flex items-center justify-center">
                       <div className="w-6 h-6 border-2 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
                     </div>
                   ) : (
-                    <div className="h-32">
-                      <ResponsiveContainer width="100%" height="100%">
-                        <LineChart data={priceHistory}>
-                          <Tooltip 
-                            formatter={(value) => [`$${value.toFixed(2)}`, 'Price']}
-                            labelFormatter={(day) => `Day ${day + 1}`}
-                          />
-                          <Line 
-                            type="monotone" 
-                            dataKey="price" 
-                            stroke="#2563eb" 
-                            strokeWidth={2} 
-                            dot={false} 
-                          />
-                        </LineChart>
-                      </ResponsiveContainer>
+                    <PriceHistoryChart
+                      ticker={selectedTicker}
+                      range={historyRange}
+                      prices={priceHistory}
+                    />
+                  )}
+                  {!historyLoading && historyEvents.length > 0 && (
+                    <p className="text-[10px] text-gray-500 mt-1">{describeHistoryEvents(historyEvents)}</p>
+                  )}
+                  {tickerAnalytics?.analytics?.[selectedTicker] && (
+                    <div className="mt-3">
+                      <div className="flex items-center justify-between mb-1">
+                        <span className="text-xs font-medium text-gray-700">1-year statistics</span>
+                        <select
+                          value={analyticsBenchmark}
+                          onChange={(e) => changeAnalyticsBenchmark(e.target.value)}
+                          title="Benchmark for beta, alpha and R²"
+                          className="px-1 py-0.5 text-xs border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {BENCHMARK_OPTIONS.map(benchmark => (
+                            <option key={benchmark} value={benchmark}>vs {benchmark}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="grid grid-cols-4 gap-1 text-xs">
+                        {getAnalyticsRows(tickerAnalytics.analytics[selectedTicker]).map(([label, value]) => (
+                          <div key={label} className="p-1.5 bg-gray-50 rounded">
+                            <p className="text-gray-500 text-[10px]">{label}</p>
+                            <p className="font-medium text-gray-900">{value}</p>
+                          </div>
+                        ))}
+                      </div>
                     </div>
                   )}
                   <button
@@ -795,9 +1493,21 @@ function Dashboard() {
                     );
                   })}
                 </div>
-              ) : !selectedTicker && (
+              ) : !selectedTicker && quoteErrors.length === 0 && (
                 <p className="text-gray-500 text-sm">No stocks in watchlist</p>
               )}
+              {!selectedTicker && quoteErrors.length > 0 && (
+                <p className="text-amber-700 text-xs mt-2">
+                  No price for{' '}
+                  {quoteErrors.map((quoteError, i) => (
+                    <span key={quoteError.ticker} title={quoteError.message}>
+                      {i > 0 && ', '}
+                      <span className="font-medium">{quoteError.ticker}</span>
+                      {quoteError.code === 'TICKER_NOT_FOUND' ? ' (not found)' : ' (unavailable)'}
+                    </span>
+                  ))}
+                </p>
+              )}
             </div>
 
             {/* Watchlists */}
@@ -27,12 +27,16 @@ app.use(express.json());
 // Import route handlers
 const stocksRouter = require('./src/routes/stocks');
 const correlationsRouter = require('./src/routes/correlations');
+const leadLagRouter = require('./src/routes/leadLag');
+const portfolioRouter = require('./src/routes/portfolio');
 const watchlistRouter = require('./src/routes/watchlist');
 const profileRouter = require('./src/routes/profile'); 
 
 // Mount routes
 app.use('/stocks', stocksRouter);
 app.use('/correlations', correlationsRouter);
+app.use('/lead-lag', leadLagRouter);
+app.use('/portfolio', portfolioRouter);
 app.use('/watchlist', watchlistRouter);
 app.use('/profile', profileRouter);
 app.use('/profile-image', profileRouter);
@@ -61,7 +65,14 @@ app.get('/', (req, res) => {
       health: '/api/health',
       stocks: '/api/stocks',
       sentiment: '/api/stocks/sentiment',
+      search: '/api/stocks/search',
+      indicators: '/api/stocks/indicators/:ticker',
       correlations: '/api/correlations',
+      leadLag: '/api/lead-lag',
+      portfolio: {
+        risk: 'POST /api/portfolio/risk',
+        optimize: 'POST /api/portfolio/optimize'
+      },
       watchlist: {
         get: 'GET /api/watchlist',
         save: 'POST /api/watchlist',
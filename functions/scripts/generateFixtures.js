@@ -0,0 +1,168 @@
+/*
+ * Generates the committed fixture set in functions/fixtures. The prices are
+ * synthetic, not recorded: a seeded one-factor model (every ticker loads on a
+ * common market return plus its own noise) on NYSE trading days, with
+ * quarterly dividends backed out of adjClose the way Yahoo does it. Same seed,
+ * same files, so regenerating only shows a diff when this script changes.
+ *
+ *   node scripts/generateFixtures.js
+ *
+ * To replace it with real data, record a session with MARKET_DATA_RECORD_DIR instead.
+ */
+const fs = require('fs/promises');
+const path = require('path');
+const { recordFixture } = require('../src/services/providers/fixtures');
+const { round } = require('../src/services/numbers');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+const START_DATE = '2024-10-16';
+const END_DATE = '2026-10-16';
+
+// Full-day NYSE closures in the generated window
+const HOLIDAYS = new Set([
+  '2024-11-28', '2024-12-25',
+  '2025-01-01', '2025-01-09', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26',
+  '2025-06-19', '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25',
+  '2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25', '2026-06-19',
+  '2026-07-03', '2026-09-07'
+]);
+
+// Daily bars carry the regular-session open, 09:30 New York
+const BAR_HOUR_UTC = 13.5;
+
+const MARKET_VOLATILITY = 0.009;
+const DIVIDEND_EVERY_BARS = 63;
+
+const TICKERS = {
+  SPY: {
+    name: 'SPDR S&P 500 ETF Trust', exchange: 'NYSEArca', assetType: 'ETF', sector: null, industry: null,
+    start: 580, beta: 1, volatility: 0.001, drift: 0.0003, volume: 6e7, dividend: 1.74
+  },
+  AAPL: {
+    name: 'Apple Inc.', exchange: 'NasdaqGS', assetType: 'EQUITY', sector: 'Technology', industry: 'Consumer Electronics',
+    start: 232, beta: 1.1, volatility: 0.011, drift: 0.0001, volume: 5e7, dividend: 0.26
+  },
+  MSFT: {
+    name: 'Microsoft Corporation', exchange: 'NasdaqGS', assetType: 'EQUITY', sector: 'Technology', industry: 'Software - Infrastructure',
+    start: 416, beta: 1, volatility: 0.009, drift: 0.0002, volume: 2e7, dividend: 0.83
+  },
+  NVDA: {
+    name: 'NVIDIA Corporation', exchange: 'NasdaqGS', assetType: 'EQUITY', sector: 'Technology', industry: 'Semiconductors',
+    start: 135, beta: 1.7, volatility: 0.02, drift: 0.0006, volume: 2.5e8, dividend: 0.01
+  }
+};
+
+// Park-Miller generator, so every run produces the same files
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+}
+
+function gaussian(random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+function seedOf(text) {
+  return [...text].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) % 2147483646, 7) + 1;
+}
+
+function tradingDays() {
+  const days = [];
+  for (let day = new Date(`${START_DATE}T00:00:00Z`); day <= new Date(`${END_DATE}T00:00:00Z`); day.setUTCDate(day.getUTCDate() + 1)) {
+    const date = day.toISOString().slice(0, 10);
+    const weekday = day.getUTCDay();
+    if (weekday !== 0 && weekday !== 6 && !HOLIDAYS.has(date)) {
+      days.push(Math.floor(day.getTime() / 1000) + BAR_HOUR_UTC * 3600);
+    }
+  }
+  return days;
+}
+
+function generateHistory(ticker, spec, timestamps, marketReturns) {
+  const random = seededRandom(seedOf(ticker));
+  const bars = [];
+  const events = [];
+  let close = spec.start;
+
+  timestamps.forEach((timestamp, i) => {
+    const open = close * (1 + 0.003 * gaussian(random));
+    close *= Math.exp(spec.drift + spec.beta * marketReturns[i] + spec.volatility * gaussian(random));
+    const high = Math.max(open, close) * (1 + Math.abs(0.005 * gaussian(random)));
+    const low = Math.min(open, close) * (1 - Math.abs(0.005 * gaussian(random)));
+
+    bars.push({
+      timestamp,
+      open: round(open, 2),
+      high: round(high, 2),
+      low: round(low, 2),
+      close: round(close, 2),
+      adjClose: null,
+      volume: Math.round(spec.volume * (0.6 + 0.8 * random()))
+    });
+
+    if (i > 0 && i % DIVIDEND_EVERY_BARS === 0) {
+      events.push({ type: 'dividend', timestamp, amount: spec.dividend });
+    }
+  });
+
+  // Each ex-dividend date scales every earlier close by (1 - amount / previous close)
+  const exDates = new Map(events.map(event => [event.timestamp, event.amount]));
+  let factor = 1;
+  for (let i = bars.length - 1; i >= 0; i--) {
+    bars[i].adjClose = round(bars[i].close * factor, 4);
+    const amount = exDates.get(bars[i].timestamp);
+    if (amount !== undefined && i > 0) {
+      factor *= 1 - amount / bars[i - 1].close;
+    }
+  }
+
+  return { bars, events };
+}
+
+async function main() {
+  // Start clean, but keep the README next to the data
+  await Promise.all(['quotes', 'history', 'profiles', 'search'].map(kind =>
+    fs.rm(path.join(FIXTURES_DIR, kind), { recursive: true, force: true })));
+
+  const timestamps = tradingDays();
+  const marketRandom = seededRandom(seedOf('market'));
+  const marketReturns = timestamps.map(() => MARKET_VOLATILITY * gaussian(marketRandom));
+
+  for (const [ticker, spec] of Object.entries(TICKERS)) {
+    const history = generateHistory(ticker, spec, timestamps, marketReturns);
+    const last = history.bars[history.bars.length - 1];
+    const previous = history.bars[history.bars.length - 2];
+
+    await recordFixture(FIXTURES_DIR, 'history', `${ticker}_1d`, history);
+    await recordFixture(FIXTURES_DIR, 'quotes', ticker, {
+      ticker,
+      name: spec.name,
+      price: last.close,
+      previousClose: previous.close,
+      currency: 'USD',
+      exchange: spec.exchange
+    });
+    await recordFixture(FIXTURES_DIR, 'profiles', ticker, {
+      ticker,
+      name: spec.name,
+      sector: spec.sector,
+      industry: spec.industry,
+      exchange: spec.exchange,
+      assetType: spec.assetType,
+      currency: 'USD'
+    });
+  }
+
+  await recordFixture(FIXTURES_DIR, 'search', 'apple', [
+    { ticker: 'AAPL', name: TICKERS.AAPL.name, exchange: TICKERS.AAPL.exchange, assetType: TICKERS.AAPL.assetType }
+  ]);
+}
+
+main().catch(error => {
+  console.error('Failed to generate fixtures:', error);
+  process.exitCode = 1;
+});
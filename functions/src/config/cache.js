@@ -0,0 +1,10 @@
+const { MARKET_DATA_PROVIDER } = require('./marketData');
+
+// Where cached results and stored price history live: 's3' (the S3_BUCKET_NAME bucket) or
+// 'memory' (this process only, nothing persisted). Fixture runs default to memory so they
+// need neither network access nor AWS credentials.
+const CACHE_BACKEND = process.env.CACHE_BACKEND || (MARKET_DATA_PROVIDER === 'fixtures' ? 'memory' : 's3');
+
+module.exports = {
+  CACHE_BACKEND
+};
@@ -0,0 +1,16 @@
+const path = require('path');
+
+// Which market-data adapter the services read from: 'yahoo' (live) or 'fixtures' (recorded JSON on disk)
+const MARKET_DATA_PROVIDER = process.env.MARKET_DATA_PROVIDER || 'yahoo';
+
+// Where the fixtures adapter reads from
+const MARKET_DATA_FIXTURES_DIR = process.env.MARKET_DATA_FIXTURES_DIR || path.join(__dirname, '..', '..', 'fixtures');
+
+// When set, everything the Yahoo adapter returns is also written here in the fixture layout
+const MARKET_DATA_RECORD_DIR = process.env.MARKET_DATA_RECORD_DIR || null;
+
+module.exports = {
+  MARKET_DATA_PROVIDER,
+  MARKET_DATA_FIXTURES_DIR,
+  MARKET_DATA_RECORD_DIR
+};
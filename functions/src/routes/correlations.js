@@ -1,14 +1,365 @@
 const express = require('express');
 const router = express.Router();
-const { calculateCorrelationMatrix } = require('../services/correlations');
+const {
+  calculateCorrelationMatrix,
+  calculateRollingCorrelation,
+  calculateCorrelationChanges,
+  CORRELATION_METHODS,
+  DEFAULT_METHOD,
+  INTERVALS,
+  DEFAULT_INTERVAL,
+  CORRELATION_ESTIMATORS,
+  DEFAULT_ESTIMATOR,
+  DEFAULT_DAYS,
+  DEFAULT_THRESHOLD,
+  DEFAULT_ALPHA,
+  DEFAULT_BENCHMARK,
+  WEIGHTINGS,
+  DEFAULT_WEIGHTING,
+  DEFAULT_HALF_LIFE
+} = require('../services/correlations');
+const { analyzePair, DEFAULT_PAIR_DAYS } = require('../services/pairs');
+const { TOPOLOGIES, DEFAULT_TOPOLOGY, DEFAULT_NEIGHBORS } = require('../services/topology');
+const { GROUPINGS } = require('../services/metadata');
 const { getFromS3, saveToS3 } = require('../services/s3');
+const { TICKER_PATTERN, normalizeTicker } = require('../services/tickers');
 
-const CACHE_DURATION_HOURS = 24;
+// Cached results expire after about one bar: daily results last a day, 5-minute ones 5 minutes
+const CACHE_DURATION_MINUTES = {
+  '1d': 24 * 60,
+  '1h': 60,
+  '15m': 15,
+  '5m': 5
+};
 
-// Helper to create a cache key from tickers
-function getCacheKey(tickers) {
+// Lookback limits: at least a couple of weeks of daily bars (or a session of intraday
+// bars), at most 5 years or Yahoo's limit for the interval
+const MIN_DAYS = 14;
+const MIN_INTRADAY_DAYS = 1;
+const MAX_DAYS = 1825;
+
+// Intraday lookbacks used when no days/start are given
+const DEFAULT_INTRADAY_DAYS = {
+  '1h': 30,
+  '15m': 10,
+  '5m': 5
+};
+
+// Regime-change comparison defaults
+const DEFAULT_RECENT_DAYS = 30;
+const DEFAULT_BASELINE_DAYS = 180;
+const DEFAULT_MIN_CHANGE = 0.3;
+
+// Neighbors per node allowed for the knn topology
+const MAX_NEIGHBORS = 10;
+
+// Rolling correlation window limits (observations)
+const MIN_ROLLING_WINDOW = 5;
+const MAX_ROLLING_WINDOW = 250;
+const DEFAULT_ROLLING_DAYS = 365;
+
+// EWMA half-life limits (observations)
+const MIN_HALF_LIFE = 2;
+const MAX_HALF_LIFE = 250;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Helper to create a cache key from tickers and calculation options
+function getCacheKey(tickers, options) {
+  const sorted = [...tickers].sort().join('-');
+  const window = options.start
+    ? `${options.start}_${options.end || 'now'}`
+    : `${options.days}d`;
+  const significance = `a${options.alpha}${options.significantOnly ? 's' : ''}`;
+  const topology = options.topology === 'knn' ? `knn${options.k}` : options.topology;
+  const adjustment = options.adjustFor ? `_adj${options.adjustFor}` : '';
+  const weighting = options.weighting === 'ewma' ? `_ewma${options.halfLife}` : '';
+  const grouping = options.groupBy ? `_by${options.groupBy}` : '';
+  const interval = options.interval === DEFAULT_INTERVAL ? '' : `_${options.interval}`;
+  return `correlations/${sorted}/${options.method}_${options.estimator}_${window}_t${options.threshold}_${significance}_${topology}${adjustment}${weighting}${grouping}${interval}.json`;
+}
+
+// Diversification history keeps one point per day for about a year
+const MAX_DIVERSIFICATION_HISTORY = 365;
+
+// History follows the matrix, so only options that change the matrix go in its key
+function getDiversificationHistoryKey(tickers, options) {
   const sorted = [...tickers].sort().join('-');
-  return `correlations/${sorted}.json`;
+  const window = options.start
+    ? `${options.start}_${options.end || 'now'}`
+    : `${options.days}d`;
+  const adjustment = options.adjustFor ? `_adj${options.adjustFor}` : '';
+  const weighting = options.weighting === 'ewma' ? `_ewma${options.halfLife}` : '';
+  const interval = options.interval === DEFAULT_INTERVAL ? '' : `_${options.interval}`;
+  return `diversification/${sorted}/${options.method}_${options.estimator}_${window}${adjustment}${weighting}${interval}.json`;
+}
+
+/**
+ * Add today's diversification figures to the stored history for this
+ * watchlist (replacing an earlier point from the same day) and attach the
+ * history to the correlations result.
+ */
+async function recordDiversification(tickers, options, correlations) {
+  if (!correlations.diversification) {
+    return;
+  }
+
+  const key = getDiversificationHistoryKey(tickers, options);
+  const stored = await getFromS3(key);
+  const date = correlations.calculatedAt.slice(0, 10);
+  const { averageCorrelation, effectiveBets, concentrationRatio, score } = correlations.diversification;
+
+  const points = (stored?.points || [])
+    .filter(point => point.date !== date)
+    .concat({ date, averageCorrelation, effectiveBets, concentrationRatio, score })
+    .slice(-MAX_DIVERSIFICATION_HISTORY);
+
+  await saveToS3(key, { points, updatedAt: correlations.calculatedAt });
+  correlations.diversification.history = points;
+}
+
+function isValidDate(value) {
+  return DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Read and validate calculation options from a query string or request body.
+ * `defaultDays` is the daily lookback when neither days nor start is given.
+ * Returns { options } on success or { error } with a 400-style error payload.
+ */
+function parseCorrelationOptions(params = {}, { defaultDays = DEFAULT_DAYS } = {}) {
+  const method = params.method || DEFAULT_METHOD;
+
+  if (!CORRELATION_METHODS.includes(method)) {
+    return {
+      error: {
+        code: 'INVALID_METHOD',
+        message: `method must be one of: ${CORRELATION_METHODS.join(', ')}`
+      }
+    };
+  }
+
+  const estimator = params.estimator || DEFAULT_ESTIMATOR;
+
+  if (!CORRELATION_ESTIMATORS.includes(estimator)) {
+    return {
+      error: {
+        code: 'INVALID_ESTIMATOR',
+        message: `estimator must be one of: ${CORRELATION_ESTIMATORS.join(', ')}`
+      }
+    };
+  }
+
+  const interval = params.interval || DEFAULT_INTERVAL;
+
+  if (!Object.hasOwn(INTERVALS, interval)) {
+    return {
+      error: {
+        code: 'INVALID_INTERVAL',
+        message: `interval must be one of: ${Object.keys(INTERVALS).join(', ')}`
+      }
+    };
+  }
+
+  const intraday = interval !== DEFAULT_INTERVAL;
+  const minDays = intraday ? MIN_INTRADAY_DAYS : MIN_DAYS;
+  const maxDays = Math.min(MAX_DAYS, INTERVALS[interval].lookbackLimitDays ?? MAX_DAYS);
+
+  const { start, end } = params;
+
+  if (end && !start) {
+    return {
+      error: {
+        code: 'INVALID_RANGE',
+        message: 'end requires a start date'
+      }
+    };
+  }
+
+  if (start) {
+    if (!isValidDate(start) || (end && !isValidDate(end))) {
+      return {
+        error: {
+          code: 'INVALID_RANGE',
+          message: 'start and end must be dates in YYYY-MM-DD format'
+        }
+      };
+    }
+
+    const day = 24 * 60 * 60 * 1000;
+    const rangeDays = ((end ? Date.parse(end) : Date.now()) - Date.parse(start)) / day;
+
+    if (rangeDays < minDays || rangeDays > MAX_DAYS) {
+      return {
+        error: {
+          code: 'INVALID_RANGE',
+          message: `Date range must span between ${minDays} and ${MAX_DAYS} days`
+        }
+      };
+    }
+
+    // Yahoo only keeps intraday bars for a limited time back from today
+    if ((Date.now() - Date.parse(start)) / day > maxDays) {
+      return {
+        error: {
+          code: 'INVALID_RANGE',
+          message: `${interval} bars are only available for the last ${maxDays} days`
+        }
+      };
+    }
+  }
+
+  const days = params.days === undefined
+    ? (intraday ? DEFAULT_INTRADAY_DAYS[interval] : defaultDays)
+    : Number(params.days);
+
+  if (!Number.isInteger(days) || days < minDays || days > maxDays) {
+    return {
+      error: {
+        code: 'INVALID_DAYS',
+        message: `days must be a whole number between ${minDays} and ${maxDays} for ${interval} bars`
+      }
+    };
+  }
+
+  const threshold = params.threshold === undefined ? DEFAULT_THRESHOLD : Number(params.threshold);
+
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold >= 1) {
+    return {
+      error: {
+        code: 'INVALID_THRESHOLD',
+        message: 'threshold must be a number from 0 up to (but not including) 1'
+      }
+    };
+  }
+
+  const alpha = params.alpha === undefined ? DEFAULT_ALPHA : Number(params.alpha);
+
+  if (!Number.isFinite(alpha) || alpha <= 0 || alpha >= 0.5) {
+    return {
+      error: {
+        code: 'INVALID_ALPHA',
+        message: 'alpha must be a number between 0 and 0.5'
+      }
+    };
+  }
+
+  // Accept a real boolean (JSON body) or the string "true" (query string)
+  const significantOnly = params.significantOnly === true || params.significantOnly === 'true';
+
+  const topology = params.topology || DEFAULT_TOPOLOGY;
+
+  if (!TOPOLOGIES.includes(topology)) {
+    return {
+      error: {
+        code: 'INVALID_TOPOLOGY',
+        message: `topology must be one of: ${TOPOLOGIES.join(', ')}`
+      }
+    };
+  }
+
+  const k = params.k === undefined ? DEFAULT_NEIGHBORS : Number(params.k);
+
+  if (!Number.isInteger(k) || k < 1 || k > MAX_NEIGHBORS) {
+    return {
+      error: {
+        code: 'INVALID_NEIGHBORS',
+        message: `k must be a whole number between 1 and ${MAX_NEIGHBORS}`
+      }
+    };
+  }
+
+  const options = { method, estimator, interval, threshold, alpha, significantOnly, topology };
+
+  if (topology === 'knn') {
+    options.k = k;
+  }
+
+  // adjustFor=QQQ names a benchmark; adjustFor=true uses the default (SPY)
+  if (params.adjustFor !== undefined && params.adjustFor !== '' && params.adjustFor !== false && params.adjustFor !== 'false') {
+    const adjustFor = params.adjustFor === true || params.adjustFor === 'true'
+      ? DEFAULT_BENCHMARK
+      : normalizeTicker(params.adjustFor);
+
+    if (!TICKER_PATTERN.test(adjustFor)) {
+      return {
+        error: {
+          code: 'INVALID_BENCHMARK',
+          message: 'adjustFor must be a ticker symbol (e.g. SPY) or true'
+        }
+      };
+    }
+
+    if (method === 'levels') {
+      return {
+        error: {
+          code: 'INVALID_METHOD',
+          message: 'Market adjustment works on returns; use method simple or log'
+        }
+      };
+    }
+
+    options.adjustFor = adjustFor;
+  }
+
+  const weighting = params.weighting || DEFAULT_WEIGHTING;
+
+  if (!WEIGHTINGS.includes(weighting)) {
+    return {
+      error: {
+        code: 'INVALID_WEIGHTING',
+        message: `weighting must be one of: ${WEIGHTINGS.join(', ')}`
+      }
+    };
+  }
+
+  if (weighting === 'ewma') {
+    if (estimator !== 'pearson') {
+      return {
+        error: {
+          code: 'INVALID_WEIGHTING',
+          message: 'EWMA weighting is only available with the pearson estimator'
+        }
+      };
+    }
+
+    const halfLife = params.halfLife === undefined ? DEFAULT_HALF_LIFE : Number(params.halfLife);
+
+    if (!Number.isInteger(halfLife) || halfLife < MIN_HALF_LIFE || halfLife > MAX_HALF_LIFE) {
+      return {
+        error: {
+          code: 'INVALID_HALF_LIFE',
+          message: `halfLife must be a whole number of observations between ${MIN_HALF_LIFE} and ${MAX_HALF_LIFE}`
+        }
+      };
+    }
+
+    options.weighting = weighting;
+    options.halfLife = halfLife;
+  }
+
+  // groupBy=sector adds a sector-by-sector average correlation matrix
+  if (params.groupBy !== undefined && params.groupBy !== '') {
+    if (!GROUPINGS.includes(params.groupBy)) {
+      return {
+        error: {
+          code: 'INVALID_GROUP_BY',
+          message: `groupBy must be one of: ${GROUPINGS.join(', ')}`
+        }
+      };
+    }
+
+    options.groupBy = params.groupBy;
+  }
+
+  if (start) {
+    options.start = start;
+    options.end = end;
+  } else {
+    options.days = days;
+  }
+
+  return { options };
 }
 
 router.get('/', async (req, res) => {
@@ -25,7 +376,16 @@ router.get('/', async (req, res) => {
       });
     }
     
-    const tickers = tickersParam.split(',').map(t => t.trim().toUpperCase());
+    const tickers = tickersParam.split(',').map(normalizeTicker);
+
+    if (tickers.some(ticker => !TICKER_PATTERN.test(ticker))) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_TICKERS',
+          message: 'Tickers must be symbols like AAPL or BRK.B'
+        }
+      });
+    }
     
     if (tickers.length < 2) {
       return res.status(400).json({
@@ -36,14 +396,20 @@ router.get('/', async (req, res) => {
       });
     }
     
+    const { options, error } = parseCorrelationOptions(req.query);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
     console.log(`Fetching correlations for ${tickers.length} tickers:`, tickers);
     
-    const cacheKey = getCacheKey(tickers);
+    const cacheKey = getCacheKey(tickers, options);
     const cached = await getFromS3(cacheKey);
     
     if (cached) {
       const cacheAge = Date.now() - new Date(cached.calculatedAt).getTime();
-      const maxAge = CACHE_DURATION_HOURS * 60 * 60 * 1000;
+      const maxAge = CACHE_DURATION_MINUTES[options.interval] * 60 * 1000;
       
       if (cacheAge < maxAge) {
         console.log('✓ Using cached correlations');
@@ -58,7 +424,18 @@ router.get('/', async (req, res) => {
       console.log('○ No cache found, calculating...');
     }
 
-    const correlations = await calculateCorrelationMatrix(tickers);
+    const correlations = await calculateCorrelationMatrix(tickers, options);
+
+    // Nothing to correlate (e.g. no intraday bars yet today); an error, and never cached
+    if (correlations.stocks.length < 2) {
+      return res.status(400).json({
+        error: {
+          code: 'INSUFFICIENT_HISTORY',
+          message: `Fewer than 2 of these tickers have ${options.interval} bars in this window; use a longer lookback`
+        }
+      });
+    }
+    await recordDiversification(tickers, options, correlations);
     
     await saveToS3(cacheKey, correlations);
 
@@ -69,6 +446,13 @@ router.get('/', async (req, res) => {
 
   } catch (error) {
     console.error('Error in /correlations:', error);
+
+    if (error.code === 'INVALID_BENCHMARK') {
+      return res.status(400).json({
+        error: { code: 'INVALID_BENCHMARK', message: error.message }
+      });
+    }
+
     res.status(500).json({
       error: {
         code: 'CORRELATION_ERROR',
@@ -78,24 +462,291 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /correlations/rolling?a=AAPL&b=MSFT&window=30&days=365
+ * Rolling correlation time series for one ticker pair
+ */
+router.get('/rolling', async (req, res) => {
+  try {
+    const a = normalizeTicker(req.query.a);
+    const b = normalizeTicker(req.query.b);
+
+    if (a === b || !TICKER_PATTERN.test(a) || !TICKER_PATTERN.test(b)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_PAIR',
+          message: 'Please provide two different ticker symbols as a and b'
+        }
+      });
+    }
+
+    const rollingWindow = req.query.window === undefined ? 30 : Number(req.query.window);
+
+    if (!Number.isInteger(rollingWindow) || rollingWindow < MIN_ROLLING_WINDOW || rollingWindow > MAX_ROLLING_WINDOW) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_WINDOW',
+          message: `window must be a whole number between ${MIN_ROLLING_WINDOW} and ${MAX_ROLLING_WINDOW}`
+        }
+      });
+    }
+
+    const { options, error } = parseCorrelationOptions(req.query, { defaultDays: DEFAULT_ROLLING_DAYS });
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (options.adjustFor === a || options.adjustFor === b) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_BENCHMARK',
+          message: `Can't adjust ${a}/${b} for ${options.adjustFor}, one of the pair itself`
+        }
+      });
+    }
+
+    const rolling = await calculateRollingCorrelation(a, b, { ...options, window: rollingWindow });
+
+    if (rolling.series.length === 0) {
+      return res.status(400).json({
+        error: {
+          code: 'INSUFFICIENT_HISTORY',
+          message: `Only ${rolling.observations} overlapping observations for ${a}/${b}; use a shorter window or longer lookback`
+        }
+      });
+    }
+
+    res.json(rolling);
+
+  } catch (error) {
+    console.error('Error in /correlations/rolling:', error);
+
+    if (error.code === 'INVALID_BENCHMARK') {
+      return res.status(400).json({
+        error: { code: 'INVALID_BENCHMARK', message: error.message }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'ROLLING_ERROR',
+        message: 'Failed to calculate rolling correlation'
+      }
+    });
+  }
+});
+
+/**
+ * GET /correlations/changes?tickers=AAPL,MSFT,NVDA&recent=30&baseline=180&minChange=0.3
+ * Pairs whose correlation in the recent window moved versus the baseline window before it
+ */
+router.get('/changes', async (req, res) => {
+  try {
+    const tickersParam = req.query.tickers;
+
+    if (!tickersParam) {
+      return res.status(400).json({
+        error: {
+          code: 'MISSING_TICKERS',
+          message: 'Please provide tickers as a query parameter'
+        }
+      });
+    }
+
+    const tickers = tickersParam.split(',').map(normalizeTicker);
+
+    if (tickers.some(ticker => !TICKER_PATTERN.test(ticker))) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_TICKERS',
+          message: 'Tickers must be symbols like AAPL or BRK.B'
+        }
+      });
+    }
+
+    if (tickers.length < 2) {
+      return res.status(400).json({
+        error: {
+          code: 'INSUFFICIENT_TICKERS',
+          message: 'Need at least 2 tickers to compare correlations'
+        }
+      });
+    }
+
+    const recent = req.query.recent === undefined ? DEFAULT_RECENT_DAYS : Number(req.query.recent);
+    const baseline = req.query.baseline === undefined ? DEFAULT_BASELINE_DAYS : Number(req.query.baseline);
+
+    if ([recent, baseline].some(days => !Number.isInteger(days) || days < MIN_DAYS) || recent + baseline > MAX_DAYS) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_WINDOWS',
+          message: `recent and baseline must each be at least ${MIN_DAYS} days and together at most ${MAX_DAYS}`
+        }
+      });
+    }
+
+    const minChange = req.query.minChange === undefined ? DEFAULT_MIN_CHANGE : Number(req.query.minChange);
+
+    if (!Number.isFinite(minChange) || minChange <= 0 || minChange > 2) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_MIN_CHANGE',
+          message: 'minChange must be a number greater than 0 and at most 2'
+        }
+      });
+    }
+
+    // Window options come from recent/baseline; the rest (method, estimator, ...) apply to both matrices
+    const { start, end, days, ...rest } = req.query;
+    const { options, error } = parseCorrelationOptions(rest);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (options.interval !== DEFAULT_INTERVAL) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_INTERVAL',
+          message: 'Regime changes compare daily windows; intraday intervals are not supported'
+        }
+      });
+    }
+
+    const result = await calculateCorrelationChanges(tickers, { ...options, recent, baseline, minChange });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Error in /correlations/changes:', error);
+
+    if (error.code === 'INVALID_BENCHMARK') {
+      return res.status(400).json({
+        error: { code: 'INVALID_BENCHMARK', message: error.message }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'CHANGES_ERROR',
+        message: 'Failed to compare correlation windows'
+      }
+    });
+  }
+});
+
+/**
+ * GET /correlations/pair/:a/:b?days=365
+ * Engle-Granger cointegration test, hedge ratio, spread z-score and half-life
+ */
+router.get('/pair/:a/:b', async (req, res) => {
+  try {
+    const a = normalizeTicker(req.params.a);
+    const b = normalizeTicker(req.params.b);
+
+    if (a === b || !TICKER_PATTERN.test(a) || !TICKER_PATTERN.test(b)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_PAIR',
+          message: 'Please provide two different ticker symbols'
+        }
+      });
+    }
+
+    const { options, error } = parseCorrelationOptions(req.query, { defaultDays: DEFAULT_PAIR_DAYS });
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (options.interval !== DEFAULT_INTERVAL) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_INTERVAL',
+          message: 'Pair analysis runs on daily closes; intraday intervals are not supported'
+        }
+      });
+    }
+
+    if (options.adjustFor) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_ADJUSTMENT',
+          message: 'Pair analysis runs on price levels; adjustFor is not supported'
+        }
+      });
+    }
+
+    const pair = await analyzePair(a, b, options);
+
+    if (pair.insufficient) {
+      return res.status(400).json({
+        error: {
+          code: 'INSUFFICIENT_HISTORY',
+          message: `Only ${pair.observations} overlapping days for ${a}/${b}; need at least 30`
+        }
+      });
+    }
+
+    res.json(pair);
+
+  } catch (error) {
+    console.error('Error in /correlations/pair:', error);
+
+    if (error.code === 'TICKER_NOT_FOUND') {
+      return res.status(404).json({
+        error: {
+          code: 'TICKER_NOT_FOUND',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'PAIR_ERROR',
+        message: 'Failed to analyze pair'
+      }
+    });
+  }
+});
+
 router.post('/refresh', async (req, res) => {
   try {
-    const { tickers } = req.body;
+    const tickers = Array.isArray(req.body.tickers) ? req.body.tickers.map(normalizeTicker) : null;
     
-    if (!tickers || !Array.isArray(tickers) || tickers.length < 2) {
+    if (!tickers || tickers.length < 2 || tickers.some(ticker => !TICKER_PATTERN.test(ticker))) {
       return res.status(400).json({
         error: {
           code: 'INVALID_TICKERS',
-          message: 'Please provide an array of at least 2 tickers'
+          message: 'Please provide an array of at least 2 ticker symbols'
         }
       });
     }
     
+    const { options, error } = parseCorrelationOptions(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
     console.log('Force refreshing correlations for:', tickers);
     
-    const correlations = await calculateCorrelationMatrix(tickers);
+    const correlations = await calculateCorrelationMatrix(tickers, options);
+
+    // Nothing to correlate (e.g. no intraday bars yet today); an error, and never cached
+    if (correlations.stocks.length < 2) {
+      return res.status(400).json({
+        error: {
+          code: 'INSUFFICIENT_HISTORY',
+          message: `Fewer than 2 of these tickers have ${options.interval} bars in this window; use a longer lookback`
+        }
+      });
+    }
+    await recordDiversification(tickers, options, correlations);
     
-    const cacheKey = getCacheKey(tickers);
+    const cacheKey = getCacheKey(tickers, options);
     await saveToS3(cacheKey, correlations);
 
     res.json({
@@ -106,6 +757,13 @@ router.post('/refresh', async (req, res) => {
 
   } catch (error) {
     console.error('Error refreshing correlations:', error);
+
+    if (error.code === 'INVALID_BENCHMARK') {
+      return res.status(400).json({
+        error: { code: 'INVALID_BENCHMARK', message: error.message }
+      });
+    }
+
     res.status(500).json({
       error: {
         code: 'REFRESH_ERROR',
@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { calculateLeadLag, DEFAULT_MAX_LAG, DEFAULT_LEAD_LAG_DAYS } = require('../services/leadLag');
+const { getFromS3, saveToS3 } = require('../services/s3');
+const { TICKER_PATTERN, normalizeTicker } = require('../services/tickers');
+
+const CACHE_DURATION_HOURS = 24;
+
+const MAX_LAG = 10;
+const MIN_DAYS = 30;
+const MAX_DAYS = 1825;
+const METHODS = ['simple', 'log'];
+
+// Helper to create a cache key from tickers and options
+function getCacheKey(tickers, options) {
+  const sorted = [...tickers].sort().join('-');
+  return `lead-lag/${sorted}/${options.method}_${options.days}d_k${options.maxLag}.json`;
+}
+
+/**
+ * GET /lead-lag?tickers=AAPL,MSFT,NVDA&maxLag=5&days=180
+ * Cross-correlations at lags -maxLag..+maxLag and the best lag per pair
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tickersParam = req.query.tickers;
+
+    if (!tickersParam) {
+      return res.status(400).json({
+        error: {
+          code: 'MISSING_TICKERS',
+          message: 'Please provide tickers as a query parameter'
+        }
+      });
+    }
+
+    const tickers = tickersParam.split(',').map(normalizeTicker);
+
+    if (tickers.some(ticker => !TICKER_PATTERN.test(ticker))) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_TICKERS',
+          message: 'Tickers must be symbols like AAPL or BRK.B'
+        }
+      });
+    }
+
+    if (tickers.length < 2) {
+      return res.status(400).json({
+        error: {
+          code: 'INSUFFICIENT_TICKERS',
+          message: 'Need at least 2 tickers to calculate lead-lag'
+        }
+      });
+    }
+
+    const maxLag = req.query.maxLag === undefined ? DEFAULT_MAX_LAG : Number(req.query.maxLag);
+
+    if (!Number.isInteger(maxLag) || maxLag < 1 || maxLag > MAX_LAG) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_MAX_LAG',
+          message: `maxLag must be a whole number between 1 and ${MAX_LAG}`
+        }
+      });
+    }
+
+    const days = req.query.days === undefined ? DEFAULT_LEAD_LAG_DAYS : Number(req.query.days);
+
+    if (!Number.isInteger(days) || days < MIN_DAYS || days > MAX_DAYS) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_DAYS',
+          message: `days must be a whole number between ${MIN_DAYS} and ${MAX_DAYS}`
+        }
+      });
+    }
+
+    const method = req.query.method || 'simple';
+
+    if (!METHODS.includes(method)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_METHOD',
+          message: `method must be one of: ${METHODS.join(', ')}`
+        }
+      });
+    }
+
+    const options = { maxLag, days, method };
+    const cacheKey = getCacheKey(tickers, options);
+    const cached = await getFromS3(cacheKey);
+
+    if (cached) {
+      const cacheAge = Date.now() - new Date(cached.calculatedAt).getTime();
+      const maxAge = CACHE_DURATION_HOURS * 60 * 60 * 1000;
+
+      if (cacheAge < maxAge) {
+        console.log('✓ Using cached lead-lag');
+        return res.json({
+          ...cached,
+          fromCache: true
+        });
+      }
+    }
+
+    const leadLag = await calculateLeadLag(tickers, options);
+
+    await saveToS3(cacheKey, leadLag);
+
+    res.json({
+      ...leadLag,
+      fromCache: false
+    });
+
+  } catch (error) {
+    console.error('Error in /lead-lag:', error);
+    res.status(500).json({
+      error: {
+        code: 'LEAD_LAG_ERROR',
+        message: 'Failed to calculate lead-lag relationships'
+      }
+    });
+  }
+});
+
+module.exports = router;
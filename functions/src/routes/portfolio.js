@@ -0,0 +1,321 @@
+const express = require('express');
+const router = express.Router();
+const { calculatePortfolioRisk, DEFAULT_RISK_DAYS, DEFAULT_CONFIDENCE } = require('../services/portfolio');
+const { optimizePortfolio, OBJECTIVES, DEFAULT_OBJECTIVE } = require('../services/optimizer');
+const { TICKER_PATTERN, normalizeTicker } = require('../services/tickers');
+const { getFromS3, saveToS3 } = require('../services/s3');
+
+const MIN_DAYS = 60;
+const MAX_DAYS = 1825;
+const MAX_POSITIONS = 50;
+const CONFIDENCE_LEVELS = [0.9, 0.95, 0.975, 0.99];
+
+// Annualized return inputs are fractions; anything beyond these is surely a unit mistake
+const MAX_ANNUAL_RATE = 5;
+
+// Optimizations run on daily bars, so a result is good for a day like daily correlations
+const OPTIMIZE_CACHE_MINUTES = 24 * 60;
+
+// Helper to create a cache key from tickers and optimizer options
+function getOptimizeCacheKey(tickers, options) {
+  const sorted = [...tickers].sort().join('-');
+  const cap = options.cap === null ? '' : `_cap${options.cap}`;
+  const target = options.targetReturn === null ? '' : `_t${options.targetReturn}`;
+  return `optimizer/${sorted}/${options.objective}_${options.days}d${cap}_${options.longOnly ? 'long' : 'ls'}${target}_rf${options.riskFreeRate}.json`;
+}
+
+/**
+ * Validate a list of { ticker, weight } positions.
+ * Duplicate tickers are merged by adding their weights.
+ * Returns { positions } on success or { error } with a 400-style error payload.
+ */
+function parsePositions(rawPositions) {
+  if (!Array.isArray(rawPositions) || rawPositions.length === 0) {
+    return {
+      error: {
+        code: 'MISSING_POSITIONS',
+        message: 'Please provide positions as an array of { ticker, weight }'
+      }
+    };
+  }
+
+  if (rawPositions.length > MAX_POSITIONS) {
+    return {
+      error: {
+        code: 'TOO_MANY_POSITIONS',
+        message: `A portfolio can have at most ${MAX_POSITIONS} positions`
+      }
+    };
+  }
+
+  const weights = new Map();
+
+  for (const position of rawPositions) {
+    const ticker = normalizeTicker(position?.ticker);
+    const weight = Number(position?.weight);
+
+    if (!TICKER_PATTERN.test(ticker)) {
+      return {
+        error: {
+          code: 'INVALID_TICKER',
+          message: `Invalid ticker: ${position?.ticker}`
+        }
+      };
+    }
+
+    if (!Number.isFinite(weight)) {
+      return {
+        error: {
+          code: 'INVALID_WEIGHT',
+          message: `Weight for ${ticker} must be a number`
+        }
+      };
+    }
+
+    weights.set(ticker, (weights.get(ticker) || 0) + weight);
+  }
+
+  const positions = [...weights].map(([ticker, weight]) => ({ ticker, weight }));
+  const totalWeight = positions.reduce((sum, p) => sum + p.weight, 0);
+
+  if (totalWeight <= 0) {
+    return {
+      error: {
+        code: 'INVALID_WEIGHT',
+        message: 'Weights must add up to a positive amount'
+      }
+    };
+  }
+
+  return { positions };
+}
+
+/**
+ * POST /portfolio/risk
+ * Body: { positions: [{ ticker: 'AAPL', weight: 0.5 }, ...], days?: 365, confidence?: 0.95 }
+ * Volatility, 1-day VaR / Expected Shortfall and per-position risk contributions
+ */
+router.post('/risk', async (req, res) => {
+  try {
+    const { positions, error } = parsePositions(req.body.positions);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const days = req.body.days === undefined ? DEFAULT_RISK_DAYS : Number(req.body.days);
+
+    if (!Number.isInteger(days) || days < MIN_DAYS || days > MAX_DAYS) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_DAYS',
+          message: `days must be a whole number between ${MIN_DAYS} and ${MAX_DAYS}`
+        }
+      });
+    }
+
+    const confidence = req.body.confidence === undefined ? DEFAULT_CONFIDENCE : Number(req.body.confidence);
+
+    if (!CONFIDENCE_LEVELS.includes(confidence)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_CONFIDENCE',
+          message: `confidence must be one of: ${CONFIDENCE_LEVELS.join(', ')}`
+        }
+      });
+    }
+
+    const risk = await calculatePortfolioRisk(positions, { days, confidence });
+
+    if (risk.invalidWeights) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_WEIGHT',
+          message: risk.missing.length > 0
+            ? `Without ${risk.missing.join(', ')} (no price history), the weights no longer add up to a positive amount`
+            : 'Weights must add up to a positive amount'
+        }
+      });
+    }
+
+    if (risk.insufficient) {
+      return res.status(400).json({
+        error: {
+          code: 'INSUFFICIENT_HISTORY',
+          message: `Only ${risk.observations} common trading days for these positions; use a longer lookback`
+        }
+      });
+    }
+
+    res.json(risk);
+
+  } catch (error) {
+    console.error('Error in /portfolio/risk:', error);
+    res.status(500).json({
+      error: {
+        code: 'PORTFOLIO_RISK_ERROR',
+        message: 'Failed to calculate portfolio risk'
+      }
+    });
+  }
+});
+
+/**
+ * POST /portfolio/optimize
+ * Body: { tickers: ['AAPL', 'MSFT'], objective?: 'minVariance' | 'maxSharpe' | 'riskParity',
+ *         cap?: 0.4, longOnly?: true, targetReturn?: 0.12, riskFreeRate?: 0.04, days?: 365 }
+ * Proposed weights plus efficient frontier points (annualized return vs volatility)
+ */
+router.post('/optimize', async (req, res) => {
+  try {
+    const { tickers: rawTickers } = req.body;
+
+    if (!Array.isArray(rawTickers) || rawTickers.length < 2) {
+      return res.status(400).json({
+        error: {
+          code: 'INSUFFICIENT_TICKERS',
+          message: 'Need at least 2 tickers to optimize a portfolio'
+        }
+      });
+    }
+
+    const tickers = [...new Set(rawTickers.map(normalizeTicker))];
+
+    if (tickers.length > MAX_POSITIONS || tickers.some(t => !TICKER_PATTERN.test(t))) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_TICKERS',
+          message: `Please provide 2 to ${MAX_POSITIONS} valid ticker symbols`
+        }
+      });
+    }
+
+    const objective = req.body.objective || DEFAULT_OBJECTIVE;
+
+    if (!OBJECTIVES.includes(objective)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_OBJECTIVE',
+          message: `objective must be one of: ${OBJECTIVES.join(', ')}`
+        }
+      });
+    }
+
+    const cap = req.body.cap === undefined || req.body.cap === null ? null : Number(req.body.cap);
+
+    if (cap !== null && !(cap > 0 && cap <= 1)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_CAP',
+          message: 'cap must be a weight between 0 (exclusive) and 1'
+        }
+      });
+    }
+
+    const longOnly = req.body.longOnly === undefined ? true : req.body.longOnly === true || req.body.longOnly === 'true';
+
+    const targetReturn = req.body.targetReturn === undefined || req.body.targetReturn === null
+      ? null
+      : Number(req.body.targetReturn);
+
+    if (targetReturn !== null) {
+      if (!Number.isFinite(targetReturn) || Math.abs(targetReturn) > MAX_ANNUAL_RATE) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_TARGET_RETURN',
+            message: 'targetReturn must be an annualized return as a fraction (e.g. 0.12 for 12%)'
+          }
+        });
+      }
+
+      if (objective !== 'minVariance') {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_TARGET_RETURN',
+            message: 'targetReturn only applies to the minVariance objective'
+          }
+        });
+      }
+    }
+
+    const riskFreeRate = req.body.riskFreeRate === undefined ? 0 : Number(req.body.riskFreeRate);
+
+    if (!Number.isFinite(riskFreeRate) || Math.abs(riskFreeRate) > MAX_ANNUAL_RATE) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_RISK_FREE_RATE',
+          message: 'riskFreeRate must be an annual rate as a fraction (e.g. 0.04 for 4%)'
+        }
+      });
+    }
+
+    const days = req.body.days === undefined ? DEFAULT_RISK_DAYS : Number(req.body.days);
+
+    if (!Number.isInteger(days) || days < MIN_DAYS || days > MAX_DAYS) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_DAYS',
+          message: `days must be a whole number between ${MIN_DAYS} and ${MAX_DAYS}`
+        }
+      });
+    }
+
+    const options = { objective, cap, longOnly, targetReturn, riskFreeRate, days };
+    const cacheKey = getOptimizeCacheKey(tickers, options);
+    const cached = await getFromS3(cacheKey);
+
+    if (cached) {
+      const cacheAge = Date.now() - new Date(cached.calculatedAt).getTime();
+
+      if (cacheAge < OPTIMIZE_CACHE_MINUTES * 60 * 1000) {
+        console.log('✓ Using cached optimization result');
+        return res.json({
+          ...cached,
+          fromCache: true
+        });
+      } else {
+        console.log('○ Cache expired, re-optimizing...');
+      }
+    } else {
+      console.log('○ No cache found, optimizing...');
+    }
+
+    const result = await optimizePortfolio(tickers, options);
+
+    if (result.insufficient) {
+      return res.status(400).json({
+        error: {
+          code: 'INSUFFICIENT_HISTORY',
+          message: `Only ${result.observations} common trading days for these tickers; use a longer lookback`
+        }
+      });
+    }
+
+    if (result.infeasible) {
+      return res.status(400).json({
+        error: {
+          code: 'INFEASIBLE_CONSTRAINTS',
+          message: result.infeasible
+        }
+      });
+    }
+
+    await saveToS3(cacheKey, result);
+
+    res.json({
+      ...result,
+      fromCache: false
+    });
+
+  } catch (error) {
+    console.error('Error in /portfolio/optimize:', error);
+    res.status(500).json({
+      error: {
+        code: 'OPTIMIZATION_ERROR',
+        message: 'Failed to optimize portfolio'
+      }
+    });
+  }
+});
+
+module.exports = router;
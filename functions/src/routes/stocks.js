@@ -2,27 +2,60 @@ const express = require('express');
 const router = express.Router();
 const { getCurrentPrices, DEFAULT_STOCKS } = require('../services/stockData');
 const { getStockSentiment } = require('../services/newsAnalysis');
+const { getMarketData } = require('../services/marketData');
 const { getFromS3, saveToS3 } = require('../services/s3');
+const { TICKER_PATTERN, normalizeTicker } = require('../services/tickers');
+const { calculateTickerAnalytics, DEFAULT_ANALYTICS_DAYS } = require('../services/analytics');
+const { getPriceHistory } = require('../services/priceHistory');
+const { calculateIndicators, parseIndicator, DEFAULT_INDICATOR_SET } = require('../services/indicators');
+const {
+  DEFAULT_BENCHMARK,
+  INTERVALS,
+  DEFAULT_INTERVAL
+} = require('../services/correlations');
 
 const CACHE_DURATION_HOURS = 4;
 
+const MIN_ANALYTICS_DAYS = 60;
+const MAX_ANALYTICS_DAYS = 1825;
+
+const DEFAULT_HISTORY_DAYS = 365;
+const MAX_HISTORY_DAYS = 1825;
+
+// Named lookbacks for /history, in calendar days; 'ytd' runs from January 1
+const HISTORY_RANGES = {
+  '1mo': 30,
+  '3mo': 91,
+  '6mo': 182,
+  '1y': 365,
+  '2y': 730,
+  '5y': 1825,
+  'ytd': null
+};
+
+const MAX_SEARCH_LENGTH = 50;
+
+const MAX_INDICATORS = 10;
+
 /**
  * GET /api/stocks
- * Fetches current prices for given tickers (or defaults)
+ * Fetches current prices for given tickers (or defaults).
+ * Tickers without a quote are listed in `errors` with the reason.
  */
 router.get('/', async (req, res) => {
   try {
     const tickersParam = req.query.tickers;
     const tickers = tickersParam
-      ? tickersParam.split(',').map(t => t.trim().toUpperCase())
+      ? tickersParam.split(',').map(normalizeTicker)
       : DEFAULT_STOCKS;
 
     console.log(`Fetching prices for: ${tickers.join(', ')}`);
 
-    const stocks = await getCurrentPrices(tickers);
+    const { stocks, errors } = await getCurrentPrices(tickers);
 
     res.json({
       stocks: stocks,
+      errors: errors,
       timestamp: new Date().toISOString()
     });
 
@@ -37,12 +70,43 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/stocks/search?q=apple
+ * Tickers whose symbol or company name match the query
+ */
+router.get('/search', async (req, res) => {
+  const query = String(req.query.q || '').trim();
+
+  if (!query || query.length > MAX_SEARCH_LENGTH) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_QUERY',
+        message: `Please provide a search query of up to ${MAX_SEARCH_LENGTH} characters`
+      }
+    });
+  }
+
+  try {
+    const results = await getMarketData().search(query);
+    res.json({ query, results });
+
+  } catch (error) {
+    console.error(`Error searching for "${query}":`, error.message);
+    res.status(500).json({
+      error: {
+        code: 'SEARCH_ERROR',
+        message: 'Failed to search tickers'
+      }
+    });
+  }
+});
+
 /**
  * GET /api/stocks/lookup/:ticker
- * Validates a single ticker against Yahoo Finance
+ * Validates a single ticker against the market data provider
  */
 router.get('/lookup/:ticker', async (req, res) => {
-  const ticker = req.params.ticker.toUpperCase().trim();
+  const ticker = normalizeTicker(req.params.ticker);
 
   if (!ticker || ticker.length > 10) {
     return res.status(400).json({
@@ -54,37 +118,21 @@ router.get('/lookup/:ticker', async (req, res) => {
   }
 
   try {
-    const axios = require('axios');
-    const response = await axios.get(
-      `https://query1.finance.yahoo.com/v8/finance/chart/${ticker}`,
-      { timeout: 5000 }
-    );
-
-    const result = response.data.chart.result;
-    if (!result || !result[0] || !result[0].meta) {
-      return res.status(404).json({
-        error: {
-          code: 'TICKER_NOT_FOUND',
-          message: `Ticker "${ticker}" not found`
-        }
-      });
-    }
-
-    const meta = result[0].meta;
+    const quote = await getMarketData().getQuote(ticker);
 
     res.json({
-      ticker: meta.symbol,
-      price: meta.regularMarketPrice,
-      previousClose: meta.chartPreviousClose,
-      change: meta.regularMarketPrice - meta.chartPreviousClose,
-      changePercent: ((meta.regularMarketPrice - meta.chartPreviousClose) / meta.chartPreviousClose) * 100,
+      ticker: quote.ticker,
+      price: quote.price,
+      previousClose: quote.previousClose,
+      change: quote.price - quote.previousClose,
+      changePercent: ((quote.price - quote.previousClose) / quote.previousClose) * 100,
       valid: true
     });
 
   } catch (error) {
     console.error(`Error looking up ticker ${ticker}:`, error.message);
 
-    if (error.response && error.response.status === 404) {
+    if (error.code === 'TICKER_NOT_FOUND') {
       return res.status(404).json({
         error: {
           code: 'TICKER_NOT_FOUND',
@@ -114,7 +162,7 @@ router.get('/sentiment', async (req, res) => {
     // Get tickers from query param
     const tickersParam = req.query.tickers;
     const tickers = tickersParam
-      ? tickersParam.split(',').map(t => t.trim().toUpperCase())
+      ? tickersParam.split(',').map(normalizeTicker)
       : DEFAULT_STOCKS;
 
     console.log(`Sentiment requested for: ${tickers.join(', ')}`);
@@ -175,26 +223,317 @@ router.get('/sentiment', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/stocks/analytics?tickers=AAPL,TSLA&benchmark=SPY&days=365&riskFreeRate=0.04
+ * Beta, alpha, R², volatility, Sharpe, downside deviation and max drawdown per ticker
+ */
+router.get('/analytics', async (req, res) => {
+  try {
+    const tickersParam = req.query.tickers;
+
+    if (!tickersParam) {
+      return res.status(400).json({
+        error: {
+          code: 'MISSING_TICKERS',
+          message: 'Please provide tickers as a query parameter'
+        }
+      });
+    }
+
+    const tickers = tickersParam.split(',').map(normalizeTicker);
+
+    if (tickers.some(ticker => !TICKER_PATTERN.test(ticker))) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_TICKERS',
+          message: 'Tickers must be symbols like AAPL or BRK.B'
+        }
+      });
+    }
+
+    const benchmark = normalizeTicker(req.query.benchmark || DEFAULT_BENCHMARK);
+
+    if (!TICKER_PATTERN.test(benchmark)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_BENCHMARK',
+          message: 'benchmark must be a ticker symbol (e.g. SPY)'
+        }
+      });
+    }
+
+    const days = req.query.days === undefined ? DEFAULT_ANALYTICS_DAYS : Number(req.query.days);
+
+    if (!Number.isInteger(days) || days < MIN_ANALYTICS_DAYS || days > MAX_ANALYTICS_DAYS) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_DAYS',
+          message: `days must be a whole number between ${MIN_ANALYTICS_DAYS} and ${MAX_ANALYTICS_DAYS}`
+        }
+      });
+    }
+
+    const riskFreeRate = req.query.riskFreeRate === undefined ? 0 : Number(req.query.riskFreeRate);
+
+    if (!Number.isFinite(riskFreeRate) || riskFreeRate < 0 || riskFreeRate > 0.2) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_RISK_FREE_RATE',
+          message: 'riskFreeRate must be an annual rate between 0 and 0.2'
+        }
+      });
+    }
+
+    const cacheKey = `analytics/${[...tickers].sort().join('-')}/${benchmark}_${days}d_rf${riskFreeRate}.json`;
+    const cached = await getFromS3(cacheKey);
+
+    if (cached) {
+      const cacheAge = Date.now() - new Date(cached.calculatedAt).getTime();
+      const maxAge = CACHE_DURATION_HOURS * 60 * 60 * 1000;
+
+      if (cacheAge < maxAge) {
+        console.log('✓ Using cached analytics');
+        return res.json({
+          ...cached,
+          fromCache: true
+        });
+      }
+    }
+
+    const result = await calculateTickerAnalytics(tickers, { benchmark, days, riskFreeRate });
+
+    await saveToS3(cacheKey, result);
+
+    res.json({
+      ...result,
+      fromCache: false
+    });
+
+  } catch (error) {
+    console.error('Error in /stocks/analytics:', error);
+
+    // Ticker failures are reported per ticker, so only the benchmark gets here
+    if (error.code === 'TICKER_NOT_FOUND') {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_BENCHMARK',
+          message: `Benchmark "${normalizeTicker(req.query.benchmark || DEFAULT_BENCHMARK)}" not found`
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'ANALYTICS_ERROR',
+        message: 'Failed to calculate stock analytics'
+      }
+    });
+  }
+});
+
+/**
+ * Lookback window from `range` (see HISTORY_RANGES) or `days`, ending now.
+ * Returns { range, days, period1, period2 } (unix seconds) on success or
+ * { error } with a 400-style error payload.
+ */
+function parseHistoryWindow(query, maxDays, interval = DEFAULT_INTERVAL) {
+  const { range } = query;
+
+  if (range !== undefined && query.days !== undefined) {
+    return {
+      error: {
+        code: 'INVALID_RANGE',
+        message: 'Pass either range or days, not both'
+      }
+    };
+  }
+
+  if (range !== undefined && !Object.hasOwn(HISTORY_RANGES, range)) {
+    return {
+      error: {
+        code: 'INVALID_RANGE',
+        message: `range must be one of: ${Object.keys(HISTORY_RANGES).join(', ')}`
+      }
+    };
+  }
+
+  const now = new Date();
+  const yearStart = Date.UTC(now.getUTCFullYear(), 0, 1);
+  let days;
+
+  if (range === 'ytd') {
+    days = Math.ceil((now.getTime() - yearStart) / (24 * 60 * 60 * 1000));
+  } else if (range !== undefined) {
+    days = HISTORY_RANGES[range];
+  } else {
+    days = query.days === undefined
+      ? Math.min(DEFAULT_HISTORY_DAYS, maxDays)
+      : Number(query.days);
+  }
+
+  if (range !== undefined && days > maxDays) {
+    return {
+      error: {
+        code: 'INVALID_RANGE',
+        message: `${interval} bars only go back ${maxDays} days; use a shorter range`
+      }
+    };
+  }
+
+  if (!Number.isInteger(days) || days < 1 || days > maxDays) {
+    return {
+      error: {
+        code: 'INVALID_DAYS',
+        message: `days must be a whole number between 1 and ${maxDays} for ${interval} bars`
+      }
+    };
+  }
+
+  const period2 = Math.floor(now.getTime() / 1000);
+  const period1 = range === 'ytd'
+    ? Math.floor(yearStart / 1000)
+    : period2 - days * 24 * 60 * 60;
+
+  return { range: range || null, days, period1, period2 };
+}
+
+/**
+ * GET /api/stocks/history/:ticker?range=1y&interval=1d (or days=365 instead of range)
+ * OHLCV bars with adjusted closes, plus split and dividend events in the window;
+ * intraday intervals (1h, 15m, 5m) cover shorter lookbacks
+ */
 router.get('/history/:ticker', async (req, res) => {
+  const ticker = normalizeTicker(req.params.ticker);
+
   try {
-    const ticker = req.params.ticker.toUpperCase();
-    const { getHistoricalPrices } = require('../services/correlations');
-    
-    const prices = await getHistoricalPrices(ticker, 365);
-    
+    if (!TICKER_PATTERN.test(ticker)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_TICKER',
+          message: 'Please enter a valid ticker symbol'
+        }
+      });
+    }
+
+    const interval = req.query.interval || DEFAULT_INTERVAL;
+
+    if (!Object.hasOwn(INTERVALS, interval)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_INTERVAL',
+          message: `interval must be one of: ${Object.keys(INTERVALS).join(', ')}`
+        }
+      });
+    }
+
+    const maxDays = INTERVALS[interval].lookbackLimitDays ?? MAX_HISTORY_DAYS;
+    const { range, days, period1, period2, error } = parseHistoryWindow(req.query, maxDays, interval);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { bars, events } = await getPriceHistory(ticker, { period1, period2, interval });
+
     res.json({
       ticker,
-      prices,
-      days: 365
+      interval,
+      range,
+      days,
+      bars,
+      events
     });
   } catch (error) {
     console.error(`Error fetching history for ${ticker}:`, error);
+
+    if (error.code === 'TICKER_NOT_FOUND') {
+      return res.status(404).json({
+        error: {
+          code: 'TICKER_NOT_FOUND',
+          message: `Ticker "${ticker}" not found`
+        }
+      });
+    }
+
     res.status(500).json({
       error: { code: 'HISTORY_ERROR', message: 'Failed to fetch price history' }
     });
   }
 });
 
+/**
+ * GET /api/stocks/indicators/:ticker?set=sma50,sma200,rsi14,macd,bb20&range=1y
+ * Daily technical indicators computed from price history, one row per trading day.
+ * `set` takes sma<N>, ema<N>, rsi<N>, bb<N> (Bollinger, 2σ) and macd (12, 26, 9).
+ */
+router.get('/indicators/:ticker', async (req, res) => {
+  const ticker = normalizeTicker(req.params.ticker);
+
+  try {
+    if (!TICKER_PATTERN.test(ticker)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_TICKER',
+          message: 'Please enter a valid ticker symbol'
+        }
+      });
+    }
+
+    const names = req.query.set
+      ? [...new Set(String(req.query.set).split(',').map(name => name.trim().toLowerCase()).filter(Boolean))]
+      : DEFAULT_INDICATOR_SET;
+    const indicators = names.map(parseIndicator);
+    const invalid = names.filter((_, i) => indicators[i] === null);
+
+    if (names.length === 0 || invalid.length > 0) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_INDICATORS',
+          message: `Unknown indicators: ${invalid.join(', ') || '(none given)'}. Use sma<N>, ema<N>, rsi<N>, bb<N> (N from 2 to 250) or macd`
+        }
+      });
+    }
+
+    if (names.length > MAX_INDICATORS) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_INDICATORS',
+          message: `At most ${MAX_INDICATORS} indicators per request`
+        }
+      });
+    }
+
+    const { range, days, period1, period2, error } = parseHistoryWindow(req.query, MAX_HISTORY_DAYS);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await calculateIndicators(ticker, indicators, { period1, period2 });
+
+    res.json({
+      ...result,
+      range,
+      days
+    });
+  } catch (error) {
+    console.error(`Error calculating indicators for ${ticker}:`, error);
+
+    if (error.code === 'TICKER_NOT_FOUND') {
+      return res.status(404).json({
+        error: {
+          code: 'TICKER_NOT_FOUND',
+          message: `Ticker "${ticker}" not found`
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: { code: 'INDICATORS_ERROR', message: 'Failed to calculate indicators' }
+    });
+  }
+});
+
 /**
  * POST /api/stocks/sentiment/refresh
  * Force refresh sentiment analysis (ignores cache)
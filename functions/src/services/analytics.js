@@ -0,0 +1,117 @@
+const ss = require('simple-statistics');
+const { getHistoricalPrices, alignSeries, transformPrices, DEFAULT_BENCHMARK } = require('./correlations');
+const { TRADING_DAYS_PER_YEAR } = require('./portfolio');
+const { round } = require('./numbers');
+
+const DEFAULT_ANALYTICS_DAYS = 365;
+
+// Fewer overlapping returns than this and the regression statistics are noise
+const MIN_ANALYTICS_OBSERVATIONS = 20;
+
+/**
+ * Largest peak-to-trough fall of a price series, as a negative fraction,
+ * with the dates of the peak and the trough.
+ */
+function maxDrawdown(prices) {
+  let peak = prices[0];
+  let worst = { drawdown: 0, peakDate: null, troughDate: null };
+
+  prices.forEach(point => {
+    if (point.close > peak.close) {
+      peak = point;
+    }
+    const drawdown = point.close / peak.close - 1;
+    if (drawdown < worst.drawdown) {
+      worst = { drawdown, peakDate: peak.date, troughDate: point.date };
+    }
+  });
+
+  return worst;
+}
+
+/**
+ * Risk/return statistics of one ticker against a benchmark, from daily simple returns:
+ *  - beta, alpha (annualized Jensen's alpha over the risk-free rate) and R² of the CAPM regression
+ *  - annualized volatility, Sharpe ratio and downside deviation (below the risk-free rate)
+ *  - max drawdown of the closes over the window
+ */
+function tickerStatistics(prices, benchmarkPrices, riskFreeRate) {
+  const aligned = alignSeries(prices, benchmarkPrices);
+  const returns = transformPrices(aligned.a, 'simple');
+  const benchmarkReturns = transformPrices(aligned.b, 'simple');
+
+  if (returns.length < MIN_ANALYTICS_OBSERVATIONS) {
+    return null;
+  }
+
+  const dailyRiskFree = riskFreeRate / TRADING_DAYS_PER_YEAR;
+  const excess = returns.map(r => r - dailyRiskFree);
+  const benchmarkExcess = benchmarkReturns.map(r => r - dailyRiskFree);
+
+  const { m: beta, b: intercept } = ss.linearRegression(benchmarkExcess.map((x, i) => [x, excess[i]]));
+  const correlation = ss.sampleCorrelation(excess, benchmarkExcess);
+
+  const volatility = ss.sampleStandardDeviation(returns);
+  const downside = Math.sqrt(excess.reduce((sum, r) => sum + Math.min(0, r) ** 2, 0) / excess.length);
+  const annualize = Math.sqrt(TRADING_DAYS_PER_YEAR);
+  const drawdown = maxDrawdown(prices);
+
+  return {
+    beta: round(beta, 3),
+    alpha: round(intercept * TRADING_DAYS_PER_YEAR),
+    rSquared: round(correlation * correlation, 3),
+    volatility: round(volatility * annualize),
+    sharpe: round(volatility > 0 ? (ss.mean(excess) / volatility) * annualize : null, 3),
+    downsideDeviation: round(downside * annualize),
+    maxDrawdown: round(drawdown.drawdown),
+    maxDrawdownPeak: drawdown.peakDate,
+    maxDrawdownTrough: drawdown.troughDate,
+    observations: returns.length
+  };
+}
+
+/**
+ * Per-ticker beta, alpha, R², volatility, Sharpe, downside deviation and max
+ * drawdown versus `benchmark` over the lookback window. Tickers without
+ * enough overlapping history, or whose history can't be fetched, map to null.
+ */
+async function calculateTickerAnalytics(tickers, options = {}) {
+  const {
+    benchmark = DEFAULT_BENCHMARK,
+    days = DEFAULT_ANALYTICS_DAYS,
+    riskFreeRate = 0
+  } = options;
+
+  // A benchmark that can't be fetched fails the whole request; a ticker that
+  // can't be fetched just maps to null
+  const [benchmarkPrices, ...histories] = await Promise.all([
+    getHistoricalPrices(benchmark, days),
+    ...tickers.map(ticker => getHistoricalPrices(ticker, days).catch(err => {
+      console.error(`Failed to get history for ${ticker}:`, err.message);
+      return [];
+    }))
+  ]);
+
+  console.log(`Calculating analytics for ${tickers.length} stocks against ${benchmark}...`);
+
+  const analytics = {};
+  tickers.forEach((ticker, i) => {
+    analytics[ticker] = benchmarkPrices.length > 0 && histories[i].length > 0
+      ? tickerStatistics(histories[i], benchmarkPrices, riskFreeRate)
+      : null;
+  });
+
+  return {
+    benchmark,
+    days,
+    riskFreeRate,
+    analytics,
+    calculatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  DEFAULT_ANALYTICS_DAYS,
+  maxDrawdown,
+  calculateTickerAnalytics
+};
@@ -0,0 +1,64 @@
+/**
+ * Average-linkage hierarchical clustering on the correlation distance 1 - ρ.
+ * Clusters keep merging while the average correlation between them is above
+ * `minCorrelation`, so the cut matches the graph's edge threshold.
+ * Missing correlations (null) count as 0.
+ *
+ * Returns clusters sorted largest first, with ids 0..k-1:
+ *   [{ id, members: [ticker], averageCorrelation }]
+ */
+function clusterCorrelationMatrix(tickers, matrix, minCorrelation) {
+  const correlationAt = (i, j) => (matrix[i][j] === null ? 0 : matrix[i][j]);
+
+  let clusters = tickers.map((_, i) => ({ indices: [i] }));
+
+  const averageBetween = (a, b) => {
+    let total = 0;
+    a.indices.forEach(i => {
+      b.indices.forEach(j => {
+        total += correlationAt(i, j);
+      });
+    });
+    return total / (a.indices.length * b.indices.length);
+  };
+
+  while (clusters.length > 1) {
+    let best = null;
+
+    for (let a = 0; a < clusters.length; a++) {
+      for (let b = a + 1; b < clusters.length; b++) {
+        const correlation = averageBetween(clusters[a], clusters[b]);
+        if (!best || correlation > best.correlation) {
+          best = { a, b, correlation };
+        }
+      }
+    }
+
+    if (best.correlation <= minCorrelation) break;
+
+    const merged = { indices: [...clusters[best.a].indices, ...clusters[best.b].indices] };
+    clusters = clusters.filter((_, k) => k !== best.a && k !== best.b);
+    clusters.push(merged);
+  }
+
+  return clusters
+    .map(cluster => {
+      const { indices } = cluster;
+      let total = 0;
+      let pairs = 0;
+      for (let x = 0; x < indices.length; x++) {
+        for (let y = x + 1; y < indices.length; y++) {
+          total += correlationAt(indices[x], indices[y]);
+          pairs++;
+        }
+      }
+      return {
+        members: indices.map(i => tickers[i]),
+        averageCorrelation: pairs > 0 ? Math.round((total / pairs) * 100) / 100 : null
+      };
+    })
+    .sort((a, b) => b.members.length - a.members.length || a.members[0].localeCompare(b.members[0]))
+    .map((cluster, id) => ({ id, ...cluster }));
+}
+
+module.exports = { clusterCorrelationMatrix };
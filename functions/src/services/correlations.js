@@ -1,38 +1,338 @@
-const axios = require('axios');
 const ss = require('simple-statistics');
+const {
+  correlationSignificance,
+  ewmaWeights,
+  ewmaCorrelation,
+  effectiveSampleSize
+} = require('./statistics');
+const { clusterCorrelationMatrix } = require('./clustering');
+const { calculateDiversification } = require('./diversification');
+const { getMetadata, groupOf } = require('./metadata');
+const { getPriceHistory } = require('./priceHistory');
+const { selectEdgePairs, DEFAULT_TOPOLOGY, DEFAULT_NEIGHBORS } = require('./topology');
 
-async function getHistoricalPrices(ticker, days = 60) {
+// How prices are turned into the series that gets correlated
+const CORRELATION_METHODS = ['simple', 'log', 'levels'];
+const DEFAULT_METHOD = 'simple';
+
+// Which correlation coefficient is computed on the transformed series
+const CORRELATION_ESTIMATORS = ['pearson', 'spearman', 'kendall'];
+const DEFAULT_ESTIMATOR = 'pearson';
+
+// Bar sizes we can fetch, with how far back Yahoo serves each (calendar days; null = no limit)
+const INTERVALS = {
+  '1d': { lookbackLimitDays: null },
+  '1h': { lookbackLimitDays: 730 },
+  '15m': { lookbackLimitDays: 60 },
+  '5m': { lookbackLimitDays: 60 }
+};
+const DEFAULT_INTERVAL = '1d';
+
+// Lookback window (calendar days) and edge cutoff used when none are requested
+const DEFAULT_DAYS = 60;
+const DEFAULT_THRESHOLD = 0.6;
+
+// How observations are weighted: equally, or exponentially with a half-life (in observations)
+const WEIGHTINGS = ['equal', 'ewma'];
+const DEFAULT_WEIGHTING = 'equal';
+const DEFAULT_HALF_LIFE = 10;
+
+// Benchmark used for market-adjusted correlations when none is named
+const DEFAULT_BENCHMARK = 'SPY';
+
+// Significance level for confidence intervals and the optional edge filter
+const DEFAULT_ALPHA = 0.05;
+
+// Pairs with fewer overlapping observations than this are left uncorrelated
+const MIN_OBSERVATIONS = 10;
+
+/**
+ * Fetch closes as { date, close } pairs. For daily bars date is YYYY-MM-DD and
+ * close is the split- and dividend-adjusted close, so splits and ex-dividend
+ * days don't show up as price drops; intraday bars (`interval` 1h, 15m, 5m)
+ * use the bar's UTC start, YYYY-MM-DDTHH:mm, and the split-adjusted close.
+ * Bars with a null close are dropped but the dates of the rest are kept,
+ * so series from different tickers can be joined on the calendar.
+ * Pass { start, end } (YYYY-MM-DD, inclusive) to fetch a fixed range instead
+ * of the last `days` calendar days; `end` defaults to now.
+ */
+async function getHistoricalPrices(ticker, days = DEFAULT_DAYS, { start, end, interval = DEFAULT_INTERVAL } = {}) {
   try {
-    const endDate = Math.floor(Date.now() / 1000);
-    const startDate = endDate - (days * 24 * 60 * 60);
-    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${ticker}?interval=1d&period1=${startDate}&period2=${endDate}`;
-    
-    const response = await axios.get(url);
-    const result = response.data.chart.result[0];
-    const closePrices = result.indicators.quote[0].close;
-    
-    return closePrices.filter(price => price !== null);
+    const endDate = end
+      ? Math.floor(Date.parse(end) / 1000) + (24 * 60 * 60)
+      : Math.floor(Date.now() / 1000);
+    const startDate = start
+      ? Math.floor(Date.parse(start) / 1000)
+      : endDate - (days * 24 * 60 * 60);
+
+    const { bars } = await getPriceHistory(ticker, {
+      period1: startDate,
+      period2: endDate,
+      interval
+    });
+
+    return bars.map(bar => ({ date: bar.date, close: bar.adjClose ?? bar.close }));
   } catch (error) {
     console.error(`Error fetching historical data for ${ticker}:`, error.message);
     throw error;
   }
 }
 
-function calculateCorrelation(pricesA, pricesB) {
-  const minLength = Math.min(pricesA.length, pricesB.length);
-  const trimmedA = pricesA.slice(-minLength);
-  const trimmedB = pricesB.slice(-minLength);
-  return ss.sampleCorrelation(trimmedA, trimmedB);
+/**
+ * Inner-join two { date, close } series on date.
+ * Returns the shared dates and the matching closes from each side, in date order.
+ * `field` picks another value to join, e.g. 'value' for residual series.
+ */
+function alignSeries(seriesA, seriesB, field = 'close') {
+  const valuesB = new Map(seriesB.map(point => [point.date, point[field]]));
+  const aligned = { dates: [], a: [], b: [] };
+
+  seriesA.forEach(point => {
+    if (valuesB.has(point.date)) {
+      aligned.dates.push(point.date);
+      aligned.a.push(point[field]);
+      aligned.b.push(valuesB.get(point.date));
+    }
+  });
+
+  return aligned;
+}
+
+/**
+ * Convert a price series into simple returns, log returns, or leave it as levels.
+ * Correlating levels makes any two trending stocks look related, so returns are the default.
+ */
+function transformPrices(prices, method = DEFAULT_METHOD) {
+  if (method === 'levels') {
+    return prices;
+  }
+
+  const transformed = [];
+  for (let i = 1; i < prices.length; i++) {
+    transformed.push(method === 'log'
+      ? Math.log(prices[i] / prices[i - 1])
+      : prices[i] / prices[i - 1] - 1);
+  }
+  return transformed;
+}
+
+/**
+ * Kendall's tau-b: concordant minus discordant pairs, corrected for ties.
+ * O(n^2), which is fine for the few hundred daily observations we correlate.
+ */
+function kendallTau(x, y) {
+  let concordant = 0;
+  let discordant = 0;
+  let tiesX = 0;
+  let tiesY = 0;
+
+  for (let i = 0; i < x.length; i++) {
+    for (let j = i + 1; j < x.length; j++) {
+      const dx = Math.sign(x[i] - x[j]);
+      const dy = Math.sign(y[i] - y[j]);
+
+      if (dx === 0 && dy === 0) continue;
+      if (dx === 0) {
+        tiesX++;
+      } else if (dy === 0) {
+        tiesY++;
+      } else if (dx === dy) {
+        concordant++;
+      } else {
+        discordant++;
+      }
+    }
+  }
+
+  const pairs = concordant + discordant;
+  return (concordant - discordant) / Math.sqrt((pairs + tiesX) * (pairs + tiesY));
+}
+
+/**
+ * Ranks starting at 1, with tied values sharing the average of their ranks.
+ */
+function averageRanks(values) {
+  const order = values.map((_, i) => i).sort((a, b) => values[a] - values[b]);
+  const ranks = new Array(values.length);
+
+  for (let start = 0; start < order.length;) {
+    let end = start + 1;
+    while (end < order.length && values[order[end]] === values[order[start]]) end++;
+    const rank = (start + end + 1) / 2;
+    for (let k = start; k < end; k++) ranks[order[k]] = rank;
+    start = end;
+  }
+
+  return ranks;
+}
+
+/**
+ * Spearman's rho: Pearson correlation of the average ranks, so ties (flat days)
+ * count as ties rather than in whatever order the sort left them.
+ */
+function spearmanRho(x, y) {
+  return ss.sampleCorrelation(averageRanks(x), averageRanks(y));
+}
+
+/**
+ * Correlation coefficient of two equal-length arrays.
+ * Spearman and Kendall work on ranks, so a single earnings gap can't dominate them.
+ */
+function correlate(x, y, estimator = DEFAULT_ESTIMATOR) {
+  if (estimator === 'spearman') {
+    return spearmanRho(x, y);
+  }
+  if (estimator === 'kendall') {
+    return kendallTau(x, y);
+  }
+  return ss.sampleCorrelation(x, y);
+}
+
+/**
+ * Correlate two already-aligned value arrays.
+ * Returns { correlation, observations, effectiveObservations }; correlation is null
+ * when the overlap is too short or one side has no variance. With a `halfLife`
+ * the correlation is EWMA-weighted (Pearson) and effectiveObservations is the
+ * Kish effective sample size; otherwise it equals observations.
+ */
+function correlateValues(valuesA, valuesB, estimator = DEFAULT_ESTIMATOR, halfLife = null) {
+  const observations = valuesA.length;
+
+  if (observations < MIN_OBSERVATIONS) {
+    return { correlation: null, observations, effectiveObservations: observations };
+  }
+
+  const correlation = halfLife
+    ? ewmaCorrelation(valuesA, valuesB, halfLife)
+    : correlate(valuesA, valuesB, estimator);
+
+  return {
+    correlation: Number.isFinite(correlation) ? correlation : null,
+    observations,
+    effectiveObservations: halfLife
+      ? effectiveSampleSize(ewmaWeights(observations, halfLife))
+      : observations
+  };
+}
+
+/**
+ * Correlate two { date, close } series over the dates they share.
+ */
+function calculateCorrelation(seriesA, seriesB, method = DEFAULT_METHOD, estimator = DEFAULT_ESTIMATOR, halfLife = null) {
+  const aligned = alignSeries(seriesA, seriesB);
+  return correlateValues(
+    transformPrices(aligned.a, method),
+    transformPrices(aligned.b, method),
+    estimator,
+    halfLife
+  );
+}
+
+/**
+ * Regress a ticker's returns on the benchmark's returns over their shared dates
+ * and return what the market doesn't explain: { beta, residuals: [{ date, value }] }.
+ * Each residual is dated on the last day of its return interval.
+ */
+function residualReturns(series, benchmarkSeries, method = DEFAULT_METHOD) {
+  const aligned = alignSeries(series, benchmarkSeries);
+  const returns = transformPrices(aligned.a, method);
+  const benchmarkReturns = transformPrices(aligned.b, method);
+
+  if (returns.length < MIN_OBSERVATIONS) {
+    return { beta: null, residuals: [] };
+  }
+
+  const { m: beta, b: intercept } = ss.linearRegression(
+    benchmarkReturns.map((x, i) => [x, returns[i]])
+  );
+
+  return {
+    beta,
+    residuals: returns.map((y, i) => ({
+      date: aligned.dates[i + 1],
+      value: y - (intercept + beta * benchmarkReturns[i])
+    }))
+  };
+}
+
+/**
+ * Closes of the benchmark used for market adjustment. An unknown benchmark is
+ * a bad request rather than a failed calculation, so it's rethrown with code
+ * INVALID_BENCHMARK.
+ */
+async function getBenchmarkPrices(benchmark, days, options) {
+  try {
+    return await getHistoricalPrices(benchmark, days, options);
+  } catch (err) {
+    if (err.code !== 'TICKER_NOT_FOUND') throw err;
+
+    const error = new Error(`Benchmark "${benchmark}" not found`);
+    error.code = 'INVALID_BENCHMARK';
+    throw error;
+  }
+}
+
+/**
+ * Collapse a ticker correlation matrix into groups (e.g. sectors): each cell is
+ * the average correlation over all cross-group ticker pairs, and the diagonal
+ * is the average within the group (null for a single-member group).
+ */
+function aggregateCorrelationMatrix(tickers, matrix, groupByTicker) {
+  const names = [...new Set(tickers.map(ticker => groupByTicker[ticker]))].sort();
+  const members = {};
+  names.forEach(name => {
+    members[name] = tickers.filter(ticker => groupByTicker[ticker] === name);
+  });
+
+  const groupMatrix = names.map(rowName =>
+    names.map(columnName => {
+      let sum = 0;
+      let count = 0;
+      tickers.forEach((a, i) => {
+        tickers.forEach((b, j) => {
+          if (i === j || matrix[i][j] === null) return;
+          if (groupByTicker[a] === rowName && groupByTicker[b] === columnName) {
+            sum += matrix[i][j];
+            count++;
+          }
+        });
+      });
+      return count > 0 ? Math.round((sum / count) * 1000) / 1000 : null;
+    })
+  );
+
+  return { names, members, matrix: groupMatrix };
 }
 
-async function calculateCorrelationMatrix(tickers) {
+async function calculateCorrelationMatrix(tickers, options = {}) {
+  const {
+    method = DEFAULT_METHOD,
+    estimator = DEFAULT_ESTIMATOR,
+    days = DEFAULT_DAYS,
+    start,
+    end,
+    threshold = DEFAULT_THRESHOLD,
+    alpha = DEFAULT_ALPHA,
+    significantOnly = false,
+    topology = DEFAULT_TOPOLOGY,
+    k = DEFAULT_NEIGHBORS,
+    adjustFor,
+    weighting = DEFAULT_WEIGHTING,
+    halfLife = DEFAULT_HALF_LIFE,
+    groupBy,
+    interval = DEFAULT_INTERVAL
+  } = options;
+
+  // EWMA replaces the equal-weighted estimator; null keeps equal weights
+  const ewmaHalfLife = weighting === 'ewma' ? halfLife : null;
+
   try {
     console.log(`Fetching historical data for ${tickers.length} stocks...`);
     
     const historicalData = await Promise.all(
       tickers.map(async (ticker) => {
         try {
-          const prices = await getHistoricalPrices(ticker, 60);
+          const prices = await getHistoricalPrices(ticker, days, { start, end, interval });
           return { ticker, prices };
         } catch (err) {
           console.error(`Failed to get history for ${ticker}:`, err.message);
@@ -41,55 +341,165 @@ async function calculateCorrelationMatrix(tickers) {
       })
     );
 
-    // Filter out stocks with insufficient price data
-    const validData = historicalData.filter(d => d.prices.length > 10);
+    // Filter out stocks with insufficient price data. A market-adjusted matrix also
+    // leaves out the benchmark itself, which has nothing left after regressing on itself
+    const validData = historicalData.filter(d => d.prices.length > 10 && d.ticker !== adjustFor);
+
+    // Market-adjusted mode: correlate what's left after regressing each ticker on the benchmark
+    let betas = null;
+    if (adjustFor) {
+      console.log(`Removing ${adjustFor} exposure from ${validData.length} stocks...`);
+
+      const benchmarkPrices = await getBenchmarkPrices(adjustFor, days, { start, end, interval });
+      betas = {};
+
+      validData.forEach(d => {
+        const { beta, residuals } = residualReturns(d.prices, benchmarkPrices, method);
+        d.residuals = residuals;
+        betas[d.ticker] = beta === null ? null : Math.round(beta * 100) / 100;
+      });
+    }
     
-    console.log(`Calculating correlations for ${validData.length} stocks...`);
+    console.log(`Calculating ${estimator} correlations of ${method} series for ${validData.length} stocks...`);
 
-    // Build correlation matrix
+    // Build correlation matrix, with the overlapping sample size for each cell.
+    // Significance uses the effective sample size, which EWMA weighting shrinks.
     const matrix = [];
+    const observations = [];
+    const effectiveObservations = [];
     for (let i = 0; i < validData.length; i++) {
       const row = [];
+      const observationRow = [];
+      const effectiveRow = [];
       for (let j = 0; j < validData.length; j++) {
         if (i === j) {
+          const length = adjustFor
+            ? validData[i].residuals.length
+            : transformPrices(validData[i].prices, method).length;
           row.push(1.0);
+          observationRow.push(length);
+          effectiveRow.push(length);
+        } else if (j < i) {
+          // Symmetric - reuse the cell computed for (j, i)
+          row.push(matrix[j][i]);
+          observationRow.push(observations[j][i]);
+          effectiveRow.push(effectiveObservations[j][i]);
         } else {
-          const correlation = calculateCorrelation(
-            validData[i].prices,
-            validData[j].prices
-          );
-          row.push(correlation);
+          let result;
+          if (adjustFor) {
+            const aligned = alignSeries(validData[i].residuals, validData[j].residuals, 'value');
+            result = correlateValues(aligned.a, aligned.b, estimator, ewmaHalfLife);
+          } else {
+            result = calculateCorrelation(
+              validData[i].prices,
+              validData[j].prices,
+              method,
+              estimator,
+              ewmaHalfLife
+            );
+          }
+          row.push(result.correlation);
+          observationRow.push(result.observations);
+          effectiveRow.push(result.effectiveObservations);
         }
       }
       matrix.push(row);
+      observations.push(observationRow);
+      effectiveObservations.push(effectiveRow);
     }
 
-    // Build edges - connect ALL stocks above threshold
-    const edges = [];
-    const CORRELATION_THRESHOLD = 0.6; // Adjust as needed
-    
+    // p-value and Fisher-z confidence interval for every off-diagonal cell
+    const pValues = [];
+    const confidenceIntervals = [];
     for (let i = 0; i < validData.length; i++) {
-      for (let j = i + 1; j < validData.length; j++) {
-        const correlation = matrix[i][j];
-        
-        if (correlation > CORRELATION_THRESHOLD) {
-          edges.push({
-            source: validData[i].ticker,
-            target: validData[j].ticker,
-            correlation: Math.round(correlation * 100) / 100
-          });
+      const pRow = [];
+      const ciRow = [];
+      for (let j = 0; j < validData.length; j++) {
+        if (i === j) {
+          pRow.push(0);
+          ciRow.push([1, 1]);
+        } else {
+          const { pValue, ci } = correlationSignificance(
+            matrix[i][j],
+            effectiveObservations[i][j],
+            estimator,
+            alpha
+          );
+          pRow.push(pValue);
+          ciRow.push(ci);
         }
       }
+      pValues.push(pRow);
+      confidenceIntervals.push(ciRow);
     }
 
+    // Build edges from the chosen topology (threshold keeps every pair whose |correlation|
+    // clears the cutoff), keeping the sign so inverse relationships show up as their own edge type
+    const edges = selectEdgePairs(matrix, { topology, threshold, k })
+      .filter(([i, j]) => matrix[i][j] !== null)
+      .filter(([i, j]) => !significantOnly || pValues[i][j] < alpha)
+      .map(([i, j]) => {
+        const correlation = matrix[i][j];
+        const ci = confidenceIntervals[i][j];
+        return {
+          source: validData[i].ticker,
+          target: validData[j].ticker,
+          correlation: Math.round(correlation * 100) / 100,
+          sign: correlation < 0 ? 'negative' : 'positive',
+          observations: observations[i][j],
+          pValue: pValues[i][j] === null ? null : Number(pValues[i][j].toPrecision(3)),
+          ci: ci && ci.map(bound => Math.round(bound * 100) / 100)
+        };
+      });
+
     const validTickers = validData.map(d => d.ticker);
     
     console.log(`Generated ${edges.length} edges from ${validTickers.length} stocks`);
 
+    // Community structure on the full matrix, cut at the same threshold as the edges
+    const clusters = clusterCorrelationMatrix(validTickers, matrix, threshold);
+    const clusterIds = {};
+    clusters.forEach(cluster => {
+      cluster.members.forEach(ticker => {
+        clusterIds[ticker] = cluster.id;
+      });
+    });
+
+    // Sector/industry labels for every node, and the group-level matrix when asked for
+    const metadata = await getMetadata(validTickers);
+    let groups = null;
+    if (groupBy) {
+      const groupByTicker = {};
+      validTickers.forEach(ticker => {
+        groupByTicker[ticker] = groupOf(metadata[ticker], groupBy);
+      });
+      groups = { by: groupBy, ...aggregateCorrelationMatrix(validTickers, matrix, groupByTicker) };
+    }
+
     return {
       stocks: validTickers,
       matrix: matrix,
+      observations: observations,
+      pValues: pValues,
+      confidenceIntervals: confidenceIntervals,
       edges: edges,
+      clusters,
+      clusterIds,
+      diversification: calculateDiversification(validTickers, matrix),
+      metadata,
+      ...(groups && { groups }),
+      method,
+      estimator,
+      window: start ? { start, end: end || null } : { days },
+      interval,
+      threshold,
+      topology,
+      ...(topology === 'knn' && { k }),
+      alpha,
+      significantOnly,
+      adjustFor: adjustFor || null,
+      ...(betas && { betas }),
+      weighting: ewmaHalfLife ? { type: 'ewma', halfLife: ewmaHalfLife } : { type: 'equal' },
       calculatedAt: new Date().toISOString()
     };
   } catch (error) {
@@ -98,8 +508,185 @@ async function calculateCorrelationMatrix(tickers) {
   }
 }
 
+/**
+ * Rolling correlation for one pair: for each date, the correlation of the
+ * trailing `window` observations ending on that date. With `adjustFor`, both
+ * tickers' returns are first regressed on that benchmark over the whole
+ * lookback and the residuals are correlated instead.
+ */
+async function calculateRollingCorrelation(tickerA, tickerB, options = {}) {
+  const {
+    method = DEFAULT_METHOD,
+    estimator = DEFAULT_ESTIMATOR,
+    window: rollingWindow = 30,
+    days = 365,
+    start,
+    end,
+    weighting = DEFAULT_WEIGHTING,
+    halfLife = DEFAULT_HALF_LIFE,
+    adjustFor,
+    interval = DEFAULT_INTERVAL
+  } = options;
+
+  const ewmaHalfLife = weighting === 'ewma' ? halfLife : null;
+
+  const [seriesA, seriesB, benchmarkPrices] = await Promise.all([
+    getHistoricalPrices(tickerA, days, { start, end, interval }),
+    getHistoricalPrices(tickerB, days, { start, end, interval }),
+    adjustFor ? getBenchmarkPrices(adjustFor, days, { start, end, interval }) : null
+  ]);
+
+  let dates;
+  let valuesA;
+  let valuesB;
+  let betas = null;
+
+  if (adjustFor) {
+    const residualsA = residualReturns(seriesA, benchmarkPrices, method);
+    const residualsB = residualReturns(seriesB, benchmarkPrices, method);
+    const valuesByDateB = new Map(residualsB.residuals.map(r => [r.date, r.value]));
+    const shared = residualsA.residuals.filter(r => valuesByDateB.has(r.date));
+
+    dates = shared.map(r => r.date);
+    valuesA = shared.map(r => r.value);
+    valuesB = shared.map(r => valuesByDateB.get(r.date));
+    betas = {
+      [tickerA]: residualsA.beta === null ? null : Math.round(residualsA.beta * 100) / 100,
+      [tickerB]: residualsB.beta === null ? null : Math.round(residualsB.beta * 100) / 100
+    };
+  } else {
+    const aligned = alignSeries(seriesA, seriesB);
+    valuesA = transformPrices(aligned.a, method);
+    valuesB = transformPrices(aligned.b, method);
+    // Returns lose the first date; levels keep every date
+    dates = aligned.dates.slice(aligned.dates.length - valuesA.length);
+  }
+
+  const series = [];
+  for (let last = rollingWindow; last <= valuesA.length; last++) {
+    const windowA = valuesA.slice(last - rollingWindow, last);
+    const windowB = valuesB.slice(last - rollingWindow, last);
+    const correlation = ewmaHalfLife
+      ? ewmaCorrelation(windowA, windowB, ewmaHalfLife)
+      : correlate(windowA, windowB, estimator);
+    series.push({
+      date: dates[last - 1],
+      correlation: Number.isFinite(correlation) ? Math.round(correlation * 1000) / 1000 : null
+    });
+  }
+
+  console.log(`Rolling ${rollingWindow}-bar ${interval} correlation for ${tickerA}/${tickerB}: ${series.length} points`);
+
+  return {
+    a: tickerA,
+    b: tickerB,
+    method,
+    estimator,
+    window: start ? { start, end: end || null } : { days },
+    interval,
+    rollingWindow,
+    adjustFor: adjustFor || null,
+    ...(betas && { betas }),
+    weighting: ewmaHalfLife ? { type: 'ewma', halfLife: ewmaHalfLife } : { type: 'equal' },
+    observations: valuesA.length,
+    series,
+    calculatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Compare the correlation matrix of a recent window with the one from the
+ * baseline window just before it, and list pairs whose correlation moved by
+ * more than `minChange` (largest moves first).
+ */
+async function calculateCorrelationChanges(tickers, options = {}) {
+  const {
+    recent = 30,
+    baseline = 180,
+    minChange = 0.3,
+    ...matrixOptions
+  } = options;
+
+  const day = 24 * 60 * 60 * 1000;
+  const toDate = (time) => new Date(time).toISOString().slice(0, 10);
+  const recentStart = Date.now() - recent * day;
+  const windows = {
+    baseline: { start: toDate(recentStart - baseline * day), end: toDate(recentStart - day) },
+    recent: { start: toDate(recentStart), end: null }
+  };
+
+  const [before, after] = await Promise.all([
+    calculateCorrelationMatrix(tickers, { ...matrixOptions, ...windows.baseline }),
+    calculateCorrelationMatrix(tickers, { ...matrixOptions, start: windows.recent.start })
+  ]);
+
+  const beforeIndex = new Map(before.stocks.map((ticker, i) => [ticker, i]));
+  const changes = [];
+
+  for (let i = 0; i < after.stocks.length; i++) {
+    for (let j = i + 1; j < after.stocks.length; j++) {
+      const bi = beforeIndex.get(after.stocks[i]);
+      const bj = beforeIndex.get(after.stocks[j]);
+      if (bi === undefined || bj === undefined) continue;
+
+      const previous = before.matrix[bi][bj];
+      const current = after.matrix[i][j];
+      if (previous === null || current === null) continue;
+
+      const change = current - previous;
+      if (Math.abs(change) >= minChange) {
+        changes.push({
+          source: after.stocks[i],
+          target: after.stocks[j],
+          before: Math.round(previous * 100) / 100,
+          after: Math.round(current * 100) / 100,
+          change: Math.round(change * 100) / 100
+        });
+      }
+    }
+  }
+
+  changes.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+  console.log(`Found ${changes.length} pairs whose correlation moved by ${minChange} or more`);
+
+  return {
+    stocks: after.stocks,
+    changes,
+    recent: windows.recent,
+    baseline: windows.baseline,
+    minChange,
+    method: after.method,
+    estimator: after.estimator,
+    calculatedAt: new Date().toISOString()
+  };
+}
+
 module.exports = {
+  CORRELATION_METHODS,
+  DEFAULT_METHOD,
+  INTERVALS,
+  DEFAULT_INTERVAL,
+  CORRELATION_ESTIMATORS,
+  DEFAULT_ESTIMATOR,
+  DEFAULT_DAYS,
+  DEFAULT_THRESHOLD,
+  DEFAULT_ALPHA,
+  DEFAULT_BENCHMARK,
+  WEIGHTINGS,
+  DEFAULT_WEIGHTING,
+  DEFAULT_HALF_LIFE,
   getHistoricalPrices,
+  alignSeries,
+  transformPrices,
+  kendallTau,
+  spearmanRho,
+  correlate,
+  correlateValues,
   calculateCorrelation,
-  calculateCorrelationMatrix
-};
\ No newline at end of file
+  residualReturns,
+  aggregateCorrelationMatrix,
+  calculateCorrelationMatrix,
+  calculateRollingCorrelation,
+  calculateCorrelationChanges
+};
@@ -0,0 +1,128 @@
+const { round } = require('./numbers');
+
+// Jacobi sweeps stop once the off-diagonal mass falls below this
+const JACOBI_TOLERANCE = 1e-10;
+const MAX_JACOBI_SWEEPS = 100;
+
+// How many names to report as the main drivers of concentration
+const TOP_CONTRIBUTORS = 3;
+
+/**
+ * Eigen-decomposition of a symmetric matrix by cyclic Jacobi rotations.
+ * Returns { values, vectors } sorted by descending eigenvalue; vectors[k] is
+ * the unit eigenvector for values[k].
+ */
+function symmetricEigen(matrix) {
+  const n = matrix.length;
+  const a = matrix.map(row => [...row]);
+  const v = matrix.map((_, i) => matrix.map((__, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < MAX_JACOBI_SWEEPS; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        offDiagonal += a[p][q] * a[p][q];
+      }
+    }
+    if (offDiagonal < JACOBI_TOLERANCE) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-15) continue;
+
+        // Rotation angle that zeroes a[p][q]
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return a
+    .map((row, k) => ({ value: row[k], vector: v.map(vRow => vRow[k]) }))
+    .sort((x, y) => y.value - x.value)
+    .reduce((result, { value, vector }) => {
+      result.values.push(value);
+      result.vectors.push(vector);
+      return result;
+    }, { values: [], vectors: [] });
+}
+
+/**
+ * How diversified a set of stocks is, from their correlation matrix:
+ *  - averageCorrelation: mean of the off-diagonal correlations
+ *  - effectiveBets: exp(entropy) of the eigenvalue shares, from 1 (one common
+ *    driver) up to n (independent stocks)
+ *  - concentrationRatio: share of total variance on the first principal component
+ *  - score: effectiveBets / n, so watchlists of different sizes compare
+ *  - topContributors: names loading most heavily on that first component
+ * Missing cells (pairs without enough overlap) count as uncorrelated.
+ */
+function calculateDiversification(tickers, matrix) {
+  const n = tickers.length;
+
+  if (n < 2) {
+    return null;
+  }
+
+  const filled = matrix.map(row => row.map(value => (value === null ? 0 : value)));
+
+  let pairSum = 0;
+  let pairCount = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (matrix[i][j] !== null) {
+        pairSum += matrix[i][j];
+        pairCount++;
+      }
+    }
+  }
+
+  const { values, vectors } = symmetricEigen(filled);
+  // Pairwise-complete matrices can be slightly indefinite; drop negative eigenvalues
+  const eigenvalues = values.map(value => Math.max(0, value));
+  const total = eigenvalues.reduce((sum, value) => sum + value, 0);
+  const shares = eigenvalues.map(value => value / total);
+  const entropy = -shares.reduce((sum, p) => (p > 0 ? sum + p * Math.log(p) : sum), 0);
+  const effectiveBets = Math.exp(entropy);
+
+  // Squared loadings on the first component sum to 1: each name's share of the common driver
+  const loadings = vectors[0].map(value => value * value);
+
+  return {
+    averageCorrelation: pairCount > 0 ? round(pairSum / pairCount, 3) : null,
+    effectiveBets: round(effectiveBets, 2),
+    concentrationRatio: round(shares[0], 3),
+    score: round(effectiveBets / n, 3),
+    eigenvalues: eigenvalues.map(value => round(value, 3)),
+    topContributors: tickers
+      .map((ticker, i) => ({ ticker, contribution: round(loadings[i], 3) }))
+      .sort((a, b) => b.contribution - a.contribution)
+      .slice(0, TOP_CONTRIBUTORS)
+  };
+}
+
+module.exports = {
+  symmetricEigen,
+  calculateDiversification
+};
@@ -0,0 +1,224 @@
+const { getPriceHistory } = require('./priceHistory');
+const { round } = require('./numbers');
+
+// Indicators computed when no `set` is given
+const DEFAULT_INDICATOR_SET = ['sma50', 'sma200', 'rsi14', 'macd', 'bb20'];
+
+// Period bounds for sma<N>, ema<N>, rsi<N> and bb<N>
+const MIN_PERIOD = 2;
+const MAX_PERIOD = 250;
+
+// Standard MACD(12, 26, 9) and Bollinger band width
+const MACD_FAST = 12;
+const MACD_SLOW = 26;
+const MACD_SIGNAL = 9;
+const BOLLINGER_WIDTH = 2;
+
+// Smoothed indicators (EMA, RSI, MACD) get this many periods of warm-up before the
+// window starts, so their first values in the window have converged
+const WARMUP_PERIODS = 3;
+
+const INDICATOR_PATTERN = /^(sma|ema|rsi|bb)(\d{1,3})$/;
+
+/**
+ * Parse one indicator name ('sma50', 'rsi14', 'macd', 'bb20', ...) into
+ * { key, type, period }, or null if it isn't one we compute.
+ */
+function parseIndicator(name) {
+  if (name === 'macd') {
+    return { key: 'macd', type: 'macd', period: MACD_SLOW };
+  }
+
+  const match = INDICATOR_PATTERN.exec(name);
+  if (!match) return null;
+
+  const period = Number(match[2]);
+  if (period < MIN_PERIOD || period > MAX_PERIOD) return null;
+
+  return { key: name, type: match[1], period };
+}
+
+/**
+ * Trading bars needed before the first output value is meaningful.
+ */
+function warmupBars(indicator) {
+  switch (indicator.type) {
+    case 'sma':
+    case 'bb':
+      return indicator.period - 1;
+    case 'macd':
+      return WARMUP_PERIODS * MACD_SLOW + MACD_SIGNAL;
+    default:
+      return WARMUP_PERIODS * indicator.period;
+  }
+}
+
+function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+
+  values.forEach((value, i) => {
+    sum += value;
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  });
+
+  return result;
+}
+
+/**
+ * Exponential moving average seeded with the simple average of the first
+ * `period` values. Leading nulls in `values` are skipped.
+ */
+function ema(values, period) {
+  const result = new Array(values.length).fill(null);
+  const alpha = 2 / (period + 1);
+  const first = values.findIndex(value => value !== null);
+  if (first === -1 || values.length - first < period) return result;
+
+  let average = values.slice(first, first + period).reduce((sum, value) => sum + value, 0) / period;
+  result[first + period - 1] = average;
+
+  for (let i = first + period; i < values.length; i++) {
+    average = alpha * values[i] + (1 - alpha) * average;
+    result[i] = average;
+  }
+
+  return result;
+}
+
+/**
+ * Wilder's RSI: average gains and losses over `period` changes, smoothed
+ * with weight 1/period after the first full window.
+ */
+function rsi(values, period) {
+  const result = new Array(values.length).fill(null);
+  if (values.length <= period) return result;
+
+  let averageGain = 0;
+  let averageLoss = 0;
+
+  for (let i = 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+
+    if (i <= period) {
+      averageGain += gain / period;
+      averageLoss += loss / period;
+    } else {
+      averageGain = (averageGain * (period - 1) + gain) / period;
+      averageLoss = (averageLoss * (period - 1) + loss) / period;
+    }
+
+    if (i >= period) {
+      result[i] = averageLoss === 0 ? 100 : 100 - 100 / (1 + averageGain / averageLoss);
+    }
+  }
+
+  return result;
+}
+
+function macd(values) {
+  const fast = ema(values, MACD_FAST);
+  const slow = ema(values, MACD_SLOW);
+  const line = values.map((_, i) => (fast[i] === null || slow[i] === null ? null : fast[i] - slow[i]));
+  const signal = ema(line, MACD_SIGNAL);
+
+  return {
+    macd: line,
+    macdSignal: signal,
+    macdHistogram: line.map((value, i) => (value === null || signal[i] === null ? null : value - signal[i]))
+  };
+}
+
+/**
+ * Bollinger bands: `period` simple average ± BOLLINGER_WIDTH population standard deviations.
+ */
+function bollinger(values, period, key) {
+  const middle = sma(values, period);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+
+  for (let i = period - 1; i < values.length; i++) {
+    const window = values.slice(i - period + 1, i + 1);
+    const variance = window.reduce((sum, value) => sum + (value - middle[i]) ** 2, 0) / period;
+    const width = BOLLINGER_WIDTH * Math.sqrt(variance);
+    upper[i] = middle[i] + width;
+    lower[i] = middle[i] - width;
+  }
+
+  return {
+    [`${key}Upper`]: upper,
+    [`${key}Middle`]: middle,
+    [`${key}Lower`]: lower
+  };
+}
+
+/**
+ * Output columns for one indicator, keyed by field name.
+ */
+function computeIndicator(indicator, closes) {
+  switch (indicator.type) {
+    case 'sma':
+      return { [indicator.key]: sma(closes, indicator.period) };
+    case 'ema':
+      return { [indicator.key]: ema(closes, indicator.period) };
+    case 'rsi':
+      return { [indicator.key]: rsi(closes, indicator.period) };
+    case 'macd':
+      return macd(closes);
+    case 'bb':
+      return bollinger(closes, indicator.period, indicator.key);
+    default:
+      return {};
+  }
+}
+
+/**
+ * Daily technical indicators for `ticker` over [period1, period2) (unix seconds),
+ * computed on split-adjusted closes so they line up with the price chart.
+ * History before period1 is fetched to warm the indicators up. Returns one row
+ * per trading day: { date, close, sma50, rsi14, macd, macdSignal, macdHistogram,
+ * bb20Upper, bb20Middle, bb20Lower, ... }, null until an indicator has enough data.
+ */
+async function calculateIndicators(ticker, indicators, { period1, period2 }) {
+  const warmup = Math.max(...indicators.map(warmupBars));
+  // Trading days to calendar days, with slack for holidays
+  const warmupDays = Math.ceil(warmup * 7 / 5) + 10;
+
+  const { bars } = await getPriceHistory(ticker, {
+    period1: period1 - warmupDays * 24 * 60 * 60,
+    period2,
+    interval: '1d'
+  });
+
+  const closes = bars.map(bar => bar.close);
+  const columns = Object.assign({}, ...indicators.map(indicator => computeIndicator(indicator, closes)));
+  const windowStart = new Date(period1 * 1000).toISOString().slice(0, 10);
+
+  const series = [];
+  bars.forEach((bar, i) => {
+    if (bar.date < windowStart) return;
+
+    const row = { date: bar.date, close: round(bar.close) };
+    Object.entries(columns).forEach(([field, values]) => {
+      row[field] = round(values[i]);
+    });
+    series.push(row);
+  });
+
+  return {
+    ticker,
+    indicators: indicators.map(indicator => indicator.key),
+    series,
+    calculatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  DEFAULT_INDICATOR_SET,
+  parseIndicator,
+  computeIndicator,
+  calculateIndicators
+};
@@ -0,0 +1,127 @@
+const {
+  getHistoricalPrices,
+  alignSeries,
+  transformPrices,
+  correlateValues,
+  DEFAULT_METHOD
+} = require('./correlations');
+const { correlationSignificance } = require('./statistics');
+
+const DEFAULT_MAX_LAG = 5;
+const DEFAULT_LEAD_LAG_DAYS = 180;
+
+/**
+ * Cross-correlation of two aligned return arrays at one lag.
+ * A positive lag pairs a[t] with b[t + lag], i.e. tests whether `a` leads `b`.
+ */
+function laggedCorrelation(returnsA, returnsB, lag) {
+  const a = lag >= 0 ? returnsA.slice(0, returnsA.length - lag) : returnsA.slice(-lag);
+  const b = lag >= 0 ? returnsB.slice(lag) : returnsB.slice(0, returnsB.length + lag);
+  return correlateValues(a, b);
+}
+
+/**
+ * Cross-correlations from -maxLag to +maxLag trading days for one pair, plus the
+ * lag with the largest |correlation|. A best lag of 0 means neither side leads.
+ * Picking the best of 2·maxLag + 1 lags inflates its significance, so the
+ * p-value is Bonferroni-adjusted for the number of lags tested.
+ */
+function crossCorrelatePair(seriesA, seriesB, maxLag, method) {
+  const aligned = alignSeries(seriesA.prices, seriesB.prices);
+  const returnsA = transformPrices(aligned.a, method);
+  const returnsB = transformPrices(aligned.b, method);
+
+  const lags = [];
+  for (let lag = -maxLag; lag <= maxLag; lag++) {
+    const { correlation, observations } = laggedCorrelation(returnsA, returnsB, lag);
+    lags.push({
+      lag,
+      correlation: correlation === null ? null : Math.round(correlation * 1000) / 1000,
+      observations
+    });
+  }
+
+  const tested = lags.filter(point => point.correlation !== null);
+  const best = tested.reduce((top, point) => (!top || Math.abs(point.correlation) > Math.abs(top.correlation) ? point : top), null);
+
+  if (!best) {
+    return null;
+  }
+
+  const { pValue: lagPValue } = correlationSignificance(best.correlation, best.observations);
+  const pValue = lagPValue === null ? null : Math.min(1, lagPValue * tested.length);
+  const leads = best.lag > 0;
+
+  return {
+    source: seriesA.ticker,
+    target: seriesB.ticker,
+    bestLag: best.lag,
+    correlation: best.correlation,
+    observations: best.observations,
+    pValue: pValue === null ? null : Number(pValue.toPrecision(3)),
+    leader: best.lag === 0 ? null : (leads ? seriesA.ticker : seriesB.ticker),
+    follower: best.lag === 0 ? null : (leads ? seriesB.ticker : seriesA.ticker),
+    lagDays: Math.abs(best.lag),
+    lags
+  };
+}
+
+/**
+ * Lead-lag structure for every pair in the watchlist.
+ */
+async function calculateLeadLag(tickers, options = {}) {
+  const {
+    maxLag = DEFAULT_MAX_LAG,
+    days = DEFAULT_LEAD_LAG_DAYS,
+    method = DEFAULT_METHOD
+  } = options;
+
+  try {
+    console.log(`Fetching history for lead-lag analysis of ${tickers.length} stocks...`);
+
+    const historicalData = await Promise.all(
+      tickers.map(async (ticker) => {
+        try {
+          const prices = await getHistoricalPrices(ticker, days);
+          return { ticker, prices };
+        } catch (err) {
+          console.error(`Failed to get history for ${ticker}:`, err.message);
+          return { ticker, prices: [] };
+        }
+      })
+    );
+
+    const validData = historicalData.filter(d => d.prices.length > maxLag * 2 + 10);
+
+    const pairs = [];
+    for (let i = 0; i < validData.length; i++) {
+      for (let j = i + 1; j < validData.length; j++) {
+        const pair = crossCorrelatePair(validData[i], validData[j], maxLag, method);
+        if (pair) pairs.push(pair);
+      }
+    }
+
+    const leading = pairs.filter(pair => pair.leader).length;
+    console.log(`Lead-lag: ${leading} of ${pairs.length} pairs have a non-zero best lag`);
+
+    return {
+      stocks: validData.map(d => d.ticker),
+      pairs,
+      maxLag,
+      method,
+      window: { days },
+      calculatedAt: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('Error calculating lead-lag:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_LAG,
+  DEFAULT_LEAD_LAG_DAYS,
+  laggedCorrelation,
+  crossCorrelatePair,
+  calculateLeadLag
+};
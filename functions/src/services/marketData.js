@@ -0,0 +1,102 @@
+const {
+  MARKET_DATA_PROVIDER,
+  MARKET_DATA_FIXTURES_DIR,
+  MARKET_DATA_RECORD_DIR
+} = require('../config/marketData');
+
+/*
+ * Every market-data adapter implements the same calls:
+ *  - getQuote(ticker) -> { ticker, name, price, previousClose, currency, exchange }
+ *  - getQuotes(tickers) -> the same quotes keyed by ticker, in one upstream call;
+ *    tickers the source doesn't know are left out
+ *  - getHistory(ticker, { period1, period2, interval }) -> { bars, events } in time order:
+ *    bars [{ timestamp (unix seconds), open, high, low, close, adjClose, volume }], where
+ *    close is split-adjusted, adjClose is split- and dividend-adjusted (daily bars only)
+ *    and any field may be null; events [{ type: 'split', timestamp, numerator, denominator }
+ *    | { type: 'dividend', timestamp, amount }]
+ *  - getProfile(ticker) -> { ticker, name, sector, industry, exchange, assetType, currency }
+ *  - search(query) -> [{ ticker, name, exchange, assetType }]
+ * Unknown tickers passed to the single-ticker calls reject with an error whose
+ * code is 'TICKER_NOT_FOUND'.
+ */
+const PROVIDERS = ['yahoo', 'fixtures'];
+
+let provider = null;
+
+function tickerNotFound(ticker) {
+  const error = new Error(`Ticker "${ticker}" not found`);
+  error.code = 'TICKER_NOT_FOUND';
+  return error;
+}
+
+/**
+ * Wrap an adapter so each successful response is also saved as a fixture.
+ */
+function withRecording(source, dir) {
+  const { recordFixture, recordHistory } = require('./providers/fixtures');
+
+  return {
+    name: `${source.name} (recording to ${dir})`,
+
+    async getQuote(ticker) {
+      const quote = await source.getQuote(ticker);
+      await recordFixture(dir, 'quotes', ticker, quote);
+      return quote;
+    },
+
+    async getQuotes(tickers) {
+      const quotes = await source.getQuotes(tickers);
+      await Promise.all(Object.values(quotes).map(quote => recordFixture(dir, 'quotes', quote.ticker, quote)));
+      return quotes;
+    },
+
+    async getHistory(ticker, options = {}) {
+      const history = await source.getHistory(ticker, options);
+      await recordHistory(dir, ticker, options.interval, history);
+      return history;
+    },
+
+    async getProfile(ticker) {
+      const profile = await source.getProfile(ticker);
+      await recordFixture(dir, 'profiles', ticker, profile);
+      return profile;
+    },
+
+    async search(query) {
+      const results = await source.search(query);
+      await recordFixture(dir, 'search', query.toLowerCase(), results);
+      return results;
+    }
+  };
+}
+
+function createProvider(name) {
+  // Adapters are required on demand so the fixtures adapter never loads the network clients
+  switch (name) {
+    case 'yahoo': {
+      const yahoo = require('./providers/yahoo');
+      return MARKET_DATA_RECORD_DIR ? withRecording(yahoo, MARKET_DATA_RECORD_DIR) : yahoo;
+    }
+    case 'fixtures':
+      return require('./providers/fixtures').createFixtureProvider(MARKET_DATA_FIXTURES_DIR);
+    default:
+      throw new Error(`Unknown market data provider "${name}"; expected one of: ${PROVIDERS.join(', ')}`);
+  }
+}
+
+/**
+ * The configured market-data adapter (MARKET_DATA_PROVIDER), created on first use.
+ */
+function getMarketData() {
+  if (!provider) {
+    provider = createProvider(MARKET_DATA_PROVIDER);
+    console.log(`✓ Market data provider: ${provider.name}`);
+  }
+  return provider;
+}
+
+module.exports = {
+  PROVIDERS,
+  tickerNotFound,
+  getMarketData
+};
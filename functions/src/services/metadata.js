@@ -0,0 +1,91 @@
+const { getFromS3, saveToS3 } = require('./s3');
+const { getMarketData } = require('./marketData');
+
+// Sector and industry rarely change; refetch monthly
+const METADATA_CACHE_DAYS = 30;
+
+// Group keys for tickers Yahoo has no sector/industry for
+const FUND_GROUP = 'Funds';
+const UNKNOWN_GROUP = 'Unknown';
+
+const GROUPINGS = ['sector', 'industry'];
+
+/**
+ * Fetch sector, industry, exchange and asset type for one ticker from the
+ * market data provider. Funds and indices have no sector/industry.
+ */
+async function fetchTickerMetadata(ticker) {
+  const profile = await getMarketData().getProfile(ticker);
+
+  return {
+    ...profile,
+    ticker,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Metadata for one ticker, from the per-ticker S3 cache when fresh.
+ * Lookups that fail return nulls and are not cached, so they are retried next time.
+ */
+async function getTickerMetadata(ticker) {
+  const cacheKey = `metadata/${ticker}.json`;
+
+  try {
+    const cached = await getFromS3(cacheKey);
+    if (cached) {
+      const cacheAge = Date.now() - new Date(cached.updatedAt).getTime();
+      if (cacheAge < METADATA_CACHE_DAYS * 24 * 60 * 60 * 1000) {
+        return cached;
+      }
+    }
+  } catch (error) {
+    console.error(`Failed to read cached metadata for ${ticker}:`, error.message);
+  }
+
+  try {
+    const metadata = await fetchTickerMetadata(ticker);
+    await saveToS3(cacheKey, metadata);
+    return metadata;
+  } catch (error) {
+    console.error(`Failed to fetch metadata for ${ticker}:`, error.message);
+    return {
+      ticker,
+      name: null,
+      sector: null,
+      industry: null,
+      exchange: null,
+      assetType: null,
+      currency: null
+    };
+  }
+}
+
+/**
+ * Metadata for several tickers, keyed by ticker.
+ */
+async function getMetadata(tickers) {
+  const entries = await Promise.all(tickers.map(getTickerMetadata));
+  const metadata = {};
+  entries.forEach(entry => {
+    metadata[entry.ticker] = entry;
+  });
+  return metadata;
+}
+
+/**
+ * The sector (or industry) a ticker is grouped under, with funds and
+ * unclassified tickers in catch-all groups.
+ */
+function groupOf(metadata, groupBy = 'sector') {
+  if (metadata?.[groupBy]) return metadata[groupBy];
+  if (metadata?.assetType === 'ETF' || metadata?.assetType === 'MUTUALFUND') return FUND_GROUP;
+  return UNKNOWN_GROUP;
+}
+
+module.exports = {
+  GROUPINGS,
+  getTickerMetadata,
+  getMetadata,
+  groupOf
+};
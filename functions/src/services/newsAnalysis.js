@@ -1,5 +1,6 @@
 const Anthropic = require('@anthropic-ai/sdk');
 const axios = require('axios');
+const { getMarketData } = require('./marketData');
 
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 const NEWS_API_KEY = process.env.NEWS_API_KEY;
@@ -9,19 +10,14 @@ const anthropic = new Anthropic({
 });
 
 /**
- * Get company name from Yahoo Finance
+ * Get company name from the market data provider
  */
 async function getCompanyName(ticker) {
   try {
-    const response = await axios.get(
-      `https://query1.finance.yahoo.com/v8/finance/chart/${ticker}`,
-      { timeout: 5000 }
-    );
-    
-    const meta = response.data.chart.result?.[0]?.meta;
-    if (meta?.shortName) {
+    const quote = await getMarketData().getQuote(ticker);
+    if (quote.name) {
       // Clean up the name (remove Inc., Corp., etc. for better search)
-      let name = meta.shortName;
+      let name = quote.name;
       name = name.replace(/,?\s*(Inc\.?|Corp\.?|Corporation|Ltd\.?|LLC|PLC|N\.?V\.?|S\.?A\.?)$/i, '');
       return name.trim();
     }
@@ -199,7 +195,7 @@ Respond ONLY with valid JSON in this exact format:
 async function getStockSentiment(ticker) {
   console.log(`Analyzing sentiment for ${ticker}...`);
 
-  // Get company name dynamically from Yahoo Finance
+  // Get company name dynamically from the market data provider
   const companyName = await getCompanyName(ticker);
   console.log(`Company name for ${ticker}: ${companyName || 'not found, using ticker'}`);
 
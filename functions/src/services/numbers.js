@@ -0,0 +1,13 @@
+/**
+ * Round to a fixed number of decimal places for API output.
+ * Missing and non-finite values come back as null, which is how JSON would send them anyway.
+ */
+function round(value, digits = 4) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  round
+};
@@ -0,0 +1,336 @@
+const { loadReturnMatrix, covarianceMatrix, TRADING_DAYS_PER_YEAR } = require('./portfolio');
+const { round } = require('./numbers');
+
+const OBJECTIVES = ['minVariance', 'maxSharpe', 'riskParity'];
+const DEFAULT_OBJECTIVE = 'minVariance';
+const DEFAULT_FRONTIER_POINTS = 15;
+
+// Projected-gradient iteration cap per solve, and bisection steps when hitting a target return.
+// A solve stops early once no weight moves by more than SOLVER_TOLERANCE in an iteration.
+const SOLVER_ITERATIONS = 500;
+const SOLVER_TOLERANCE = 1e-8;
+const TARGET_BISECTION_STEPS = 30;
+// A target is met once the return is within this much (annualized) above it
+const TARGET_TOLERANCE = 1e-5;
+
+// Max-Sharpe search: a coarse scan over λ = 2^k, then golden-section steps on log2 λ
+const SHARPE_SCAN_EXPONENTS = { min: -12, max: 16 };
+const SHARPE_SEARCH_STEPS = 20;
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+// Without a cap, a short position is limited to -100% of the portfolio
+// (and a long one to 200%, so the shorts can fund it)
+const MAX_SHORT = 1;
+
+function dot(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+function multiply(matrix, vector) {
+  return matrix.map(row => dot(row, vector));
+}
+
+/**
+ * Euclidean projection onto { Σw = 1, lower ≤ w ≤ upper }: w = clip(v - τ),
+ * with the shift τ found by bisection since Σ clip(v - τ) falls as τ grows.
+ */
+function projectToBudget(v, lower, upper) {
+  let lo = Math.min(...v) - upper;
+  let hi = Math.max(...v) - lower;
+
+  for (let step = 0; step < 100 && hi - lo > 1e-12; step++) {
+    const tau = (lo + hi) / 2;
+    const total = v.reduce((sum, value) => sum + Math.min(upper, Math.max(lower, value - tau)), 0);
+    if (total > 1) lo = tau;
+    else hi = tau;
+  }
+
+  const tau = (lo + hi) / 2;
+  return v.map(value => Math.min(upper, Math.max(lower, value - tau)));
+}
+
+/**
+ * Minimize wᵀΣw - λ μᵀw over the budget/box constraints with accelerated
+ * projected gradient (FISTA). λ = 0 is the minimum-variance portfolio; larger λ
+ * trades variance for return and traces out the efficient frontier. Passing the
+ * solution for a nearby λ as `start` cuts the iterations needed.
+ */
+function solveMeanVariance(covariance, expectedReturns, lambda, bounds, start = null) {
+  const n = expectedReturns.length;
+  // Gershgorin bound on the largest eigenvalue gives a safe step size
+  const lipschitz = 2 * Math.max(...covariance.map(row => row.reduce((sum, value) => sum + Math.abs(value), 0)));
+  const stepSize = 1 / lipschitz;
+
+  let weights = projectToBudget(start || new Array(n).fill(1 / n), bounds.lower, bounds.upper);
+  let momentum = weights;
+  let t = 1;
+
+  for (let iteration = 0; iteration < SOLVER_ITERATIONS; iteration++) {
+    const gradient = multiply(covariance, momentum).map((value, i) => 2 * value - lambda * expectedReturns[i]);
+    const next = projectToBudget(momentum.map((value, i) => value - stepSize * gradient[i]), bounds.lower, bounds.upper);
+    const step = next.map((value, i) => value - weights[i]);
+
+    // Adaptive restart (O'Donoghue & Candès): drop the momentum once it points uphill
+    if (dot(momentum.map((value, i) => value - next[i]), step) > 0) {
+      momentum = next;
+      t = 1;
+    } else {
+      const nextT = (1 + Math.sqrt(1 + 4 * t * t)) / 2;
+      momentum = next.map((value, i) => value + ((t - 1) / nextT) * step[i]);
+      t = nextT;
+    }
+    weights = next;
+
+    if (Math.max(...step.map(Math.abs)) < SOLVER_TOLERANCE) break;
+  }
+
+  return weights;
+}
+
+/**
+ * Highest and lowest expected return reachable under the constraints:
+ * fill the best (or worst) names up to the upper bound first.
+ */
+function returnRange(expectedReturns, bounds) {
+  const extreme = order => {
+    const indices = expectedReturns.map((_, i) => i).sort((a, b) => order * (expectedReturns[b] - expectedReturns[a]));
+    const weights = new Array(expectedReturns.length).fill(bounds.lower);
+    let remaining = 1 - bounds.lower * expectedReturns.length;
+    indices.forEach(i => {
+      const add = Math.min(bounds.upper - bounds.lower, remaining);
+      weights[i] += add;
+      remaining -= add;
+    });
+    return dot(weights, expectedReturns);
+  };
+
+  return { min: extreme(-1), max: extreme(1) };
+}
+
+/**
+ * Least-variance weights whose expected return reaches `target`, by bisection
+ * on λ (the optimal return grows with λ), stopping once the return is within
+ * TARGET_TOLERANCE of it. Returns null when λ can't get there.
+ */
+function solveForTargetReturn(covariance, expectedReturns, target, bounds) {
+  const minVariance = solveMeanVariance(covariance, expectedReturns, 0, bounds);
+  if (dot(minVariance, expectedReturns) >= target) {
+    return minVariance;
+  }
+
+  let hi = 1;
+  let best = null;
+  for (let doubling = 0; doubling < 40; doubling++) {
+    best = solveMeanVariance(covariance, expectedReturns, hi, bounds, best || minVariance);
+    if (dot(best, expectedReturns) >= target) break;
+    hi *= 2;
+  }
+  if (dot(best, expectedReturns) < target - 1e-6) {
+    return null;
+  }
+
+  let lo = 0;
+  for (let step = 0; step < TARGET_BISECTION_STEPS; step++) {
+    const lambda = (lo + hi) / 2;
+    const weights = solveMeanVariance(covariance, expectedReturns, lambda, bounds, best);
+    const reached = dot(weights, expectedReturns);
+    if (reached >= target) {
+      hi = lambda;
+      best = weights;
+      if (reached - target < TARGET_TOLERANCE) break;
+    } else {
+      lo = lambda;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Equal-risk-contribution weights by cyclical coordinate descent on
+ * ½yᵀΣy - (1/n) Σ log yᵢ (Griveau-Billion, Richard & Roncalli), then rescaled
+ * to sum to 1 and projected onto the cap if there is one.
+ */
+function solveRiskParity(covariance, bounds) {
+  const n = covariance.length;
+  const budget = 1 / n;
+  // Start from inverse-volatility weights
+  const y = covariance.map((row, i) => 1 / Math.sqrt(row[i]));
+
+  for (let sweep = 0; sweep < 200; sweep++) {
+    for (let i = 0; i < n; i++) {
+      const cross = covariance[i].reduce((sum, value, j) => (j === i ? sum : sum + value * y[j]), 0);
+      const variance = covariance[i][i];
+      y[i] = (-cross + Math.sqrt(cross * cross + 4 * variance * budget)) / (2 * variance);
+    }
+  }
+
+  const total = y.reduce((sum, value) => sum + value, 0);
+  const weights = y.map(value => value / total);
+  return bounds.upper < 1 ? projectToBudget(weights, 0, bounds.upper) : weights;
+}
+
+/**
+ * Tangency portfolio: the weights with the highest Sharpe ratio under the
+ * constraints. Each λ in wᵀΣw - λ μᵀw gives one efficient portfolio, and the
+ * Sharpe ratio along the frontier rises to the tangency point and falls after
+ * it, so a scan over λ brackets the peak and golden-section search refines it.
+ */
+function solveMaxSharpe(covariance, expectedReturns, riskFreeRate, bounds) {
+  let previous = null;
+  const evaluate = exponent => {
+    const weights = solveMeanVariance(covariance, expectedReturns, 2 ** exponent, bounds, previous);
+    previous = weights;
+    const { sharpe } = describe(weights, covariance, expectedReturns, riskFreeRate);
+    return { exponent, weights, sharpe: sharpe ?? -Infinity };
+  };
+
+  const scan = [];
+  for (let k = SHARPE_SCAN_EXPONENTS.min; k <= SHARPE_SCAN_EXPONENTS.max; k++) {
+    scan.push(evaluate(k));
+  }
+  const bestIndex = scan.reduce((best, point, i) => (point.sharpe > scan[best].sharpe ? i : best), 0);
+
+  let lo = scan[Math.max(0, bestIndex - 1)].exponent;
+  let hi = scan[Math.min(scan.length - 1, bestIndex + 1)].exponent;
+  let best = scan[bestIndex];
+  let left = evaluate(hi - GOLDEN_RATIO * (hi - lo));
+  let right = evaluate(lo + GOLDEN_RATIO * (hi - lo));
+
+  for (let step = 0; step < SHARPE_SEARCH_STEPS; step++) {
+    if (left.sharpe >= right.sharpe) {
+      hi = right.exponent;
+      right = left;
+      left = evaluate(hi - GOLDEN_RATIO * (hi - lo));
+    } else {
+      lo = left.exponent;
+      left = right;
+      right = evaluate(lo + GOLDEN_RATIO * (hi - lo));
+    }
+  }
+
+  [left, right].forEach(point => {
+    if (point.sharpe > best.sharpe) best = point;
+  });
+  return best.weights;
+}
+
+function describe(weights, covariance, expectedReturns, riskFreeRate) {
+  const volatility = Math.sqrt(Math.max(0, dot(weights, multiply(covariance, weights))));
+  const expectedReturn = dot(weights, expectedReturns);
+  return {
+    expectedReturn,
+    volatility,
+    sharpe: volatility > 0 ? (expectedReturn - riskFreeRate) / volatility : null
+  };
+}
+
+function roundPoint(point) {
+  return {
+    expectedReturn: round(point.expectedReturn),
+    volatility: round(point.volatility),
+    sharpe: round(point.sharpe, 3)
+  };
+}
+
+/**
+ * Propose portfolio weights from historical mean returns and covariance
+ * (both annualized from daily returns):
+ *  - minVariance: lowest volatility, optionally subject to a target return
+ *  - maxSharpe: tangency portfolio, solved for directly (not read off the frontier points)
+ *  - riskParity: every position contributes the same share of volatility (long-only)
+ * Constraints: `cap` per name, `longOnly` (default true). Also returns
+ * `frontierPoints` evenly spaced in return from the minimum-variance portfolio up.
+ * Returns { infeasible: message } when the constraints can't be met.
+ */
+async function optimizePortfolio(tickers, options = {}) {
+  const {
+    objective = DEFAULT_OBJECTIVE,
+    cap = null,
+    longOnly = true,
+    targetReturn = null,
+    riskFreeRate = 0,
+    frontierPoints = DEFAULT_FRONTIER_POINTS
+  } = options;
+
+  const { tickers: validTickers, missing, dates, returns } = await loadReturnMatrix(tickers, options);
+
+  if (validTickers.length < 2 || dates.length < 30) {
+    return { missing, observations: dates.length, insufficient: true };
+  }
+
+  const n = validTickers.length;
+  const bounds = {
+    lower: longOnly ? 0 : -(cap ?? MAX_SHORT),
+    upper: cap ?? (longOnly ? 1 : 1 + MAX_SHORT)
+  };
+
+  if (bounds.upper * n < 1) {
+    return { infeasible: `A cap of ${bounds.upper} can't fully invest ${n} positions; raise it to at least ${round(1 / n)}` };
+  }
+
+  console.log(`Optimizing ${objective} weights for ${n} stocks over ${dates.length} days...`);
+
+  const expectedReturns = returns.map(series => (series.reduce((sum, r) => sum + r, 0) / series.length) * TRADING_DAYS_PER_YEAR);
+  const covariance = covarianceMatrix(returns).map(row => row.map(value => value * TRADING_DAYS_PER_YEAR));
+
+  // Efficient frontier: from the minimum-variance return to the best reachable return
+  const range = returnRange(expectedReturns, bounds);
+  const minVariance = solveMeanVariance(covariance, expectedReturns, 0, bounds);
+  const minVarianceReturn = dot(minVariance, expectedReturns);
+  const frontier = [{ weights: minVariance, ...describe(minVariance, covariance, expectedReturns, riskFreeRate) }];
+
+  for (let k = 1; k < frontierPoints; k++) {
+    const target = minVarianceReturn + (range.max - minVarianceReturn) * (k / (frontierPoints - 1));
+    const weights = solveForTargetReturn(covariance, expectedReturns, target, bounds);
+    if (weights) {
+      frontier.push({ weights, ...describe(weights, covariance, expectedReturns, riskFreeRate) });
+    }
+  }
+
+  let weights;
+  if (objective === 'riskParity') {
+    weights = solveRiskParity(covariance, bounds);
+  } else if (objective === 'maxSharpe') {
+    weights = solveMaxSharpe(covariance, expectedReturns, riskFreeRate, bounds);
+  } else if (targetReturn !== null) {
+    if (targetReturn > range.max + 1e-9) {
+      return { infeasible: `Target return ${targetReturn} is above the best reachable ${round(range.max)} under these constraints` };
+    }
+    weights = solveForTargetReturn(covariance, expectedReturns, targetReturn, bounds);
+    if (!weights) {
+      return { infeasible: `Target return ${targetReturn} could not be reached under these constraints` };
+    }
+  } else {
+    weights = minVariance;
+  }
+
+  return {
+    objective,
+    constraints: { cap, longOnly, targetReturn },
+    riskFreeRate,
+    weights: validTickers.map((ticker, i) => ({ ticker, weight: round(weights[i]) })),
+    portfolio: roundPoint(describe(weights, covariance, expectedReturns, riskFreeRate)),
+    frontier: frontier.map(roundPoint),
+    assets: validTickers.map((ticker, i) => ({
+      ticker,
+      expectedReturn: round(expectedReturns[i]),
+      volatility: round(Math.sqrt(covariance[i][i]))
+    })),
+    missing,
+    observations: dates.length,
+    window: { start: dates[0], end: dates[dates.length - 1] },
+    calculatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  OBJECTIVES,
+  DEFAULT_OBJECTIVE,
+  projectToBudget,
+  solveMeanVariance,
+  solveForTargetReturn,
+  solveMaxSharpe,
+  solveRiskParity,
+  optimizePortfolio
+};
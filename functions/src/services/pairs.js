@@ -0,0 +1,129 @@
+const ss = require('simple-statistics');
+const { getHistoricalPrices, alignSeries } = require('./correlations');
+const { round } = require('./numbers');
+
+const DEFAULT_PAIR_DAYS = 365;
+
+// MacKinnon (2010) response surface for the Engle-Granger test with two variables
+// and a constant: critical value = b0 + b1 / T + b2 / T^2
+const ENGLE_GRANGER_CRITICAL = {
+  '1%': [-3.89644, -10.9519, -22.527],
+  '5%': [-3.33613, -6.1101, -6.823],
+  '10%': [-3.04445, -4.2412, -2.720]
+};
+
+function criticalValues(observations) {
+  const values = {};
+  Object.entries(ENGLE_GRANGER_CRITICAL).forEach(([level, [b0, b1, b2]]) => {
+    values[level] = round(b0 + b1 / observations + b2 / (observations * observations), 3);
+  });
+  return values;
+}
+
+/**
+ * OLS of y on x with an intercept, returning coefficients and the t-statistic of the slope.
+ */
+function regress(x, y) {
+  const { m: slope, b: intercept } = ss.linearRegression(x.map((xi, i) => [xi, y[i]]));
+  const residuals = y.map((yi, i) => yi - intercept - slope * x[i]);
+  const n = x.length;
+  const residualVariance = residuals.reduce((sum, e) => sum + e * e, 0) / (n - 2);
+  const meanX = ss.mean(x);
+  const sxx = x.reduce((sum, xi) => sum + (xi - meanX) ** 2, 0);
+
+  return {
+    slope,
+    intercept,
+    residuals,
+    tStat: slope / Math.sqrt(residualVariance / sxx)
+  };
+}
+
+/**
+ * Engle-Granger test on two aligned log-price series:
+ *  1. hedge ratio from regressing logA on logB
+ *  2. Dickey-Fuller t-statistic on the residual spread, against MacKinnon critical values
+ *  3. half-life of mean reversion from the AR(1) fit of spread changes
+ */
+function engleGranger(logA, logB) {
+  // Step 1: hedge ratio (units of log B per unit of log A)
+  const hedge = regress(logB, logA);
+  const spread = hedge.residuals;
+
+  // Step 2: Dickey-Fuller regression of Δspread on lagged spread
+  const lagged = spread.slice(0, -1);
+  const changes = spread.slice(1).map((value, i) => value - spread[i]);
+  const dickeyFuller = regress(lagged, changes);
+  const critical = criticalValues(logA.length);
+
+  // Step 3: half-life from Δs = c + λ s(t-1); only meaningful when λ < 0
+  const halfLife = dickeyFuller.slope < 0 ? -Math.log(2) / dickeyFuller.slope : null;
+
+  return {
+    hedgeRatio: hedge.slope,
+    intercept: hedge.intercept,
+    spread,
+    testStatistic: dickeyFuller.tStat,
+    criticalValues: critical,
+    cointegrated: dickeyFuller.tStat < critical['5%'],
+    halfLife
+  };
+}
+
+/**
+ * Engle-Granger cointegration analysis of a pair on log prices.
+ * Returns the spread series with its z-score so the client can chart it with ±2σ bands.
+ */
+async function analyzePair(tickerA, tickerB, options = {}) {
+  const { days = DEFAULT_PAIR_DAYS, start, end } = options;
+
+  const [seriesA, seriesB] = await Promise.all([
+    getHistoricalPrices(tickerA, days, { start, end }),
+    getHistoricalPrices(tickerB, days, { start, end })
+  ]);
+
+  const aligned = alignSeries(seriesA, seriesB);
+  const observations = aligned.dates.length;
+
+  if (observations < 30) {
+    return { a: tickerA, b: tickerB, observations, insufficient: true };
+  }
+
+  const test = engleGranger(aligned.a.map(Math.log), aligned.b.map(Math.log));
+  const { spread } = test;
+
+  const mean = ss.mean(spread);
+  const std = ss.sampleStandardDeviation(spread);
+  console.log(`Pair ${tickerA}/${tickerB}: hedge ratio ${test.hedgeRatio.toFixed(3)}, DF t-stat ${test.testStatistic.toFixed(2)}`);
+
+  return {
+    a: tickerA,
+    b: tickerB,
+    observations,
+    window: start ? { start, end: end || null } : { days },
+    hedgeRatio: round(test.hedgeRatio),
+    intercept: round(test.intercept),
+    cointegration: {
+      testStatistic: round(test.testStatistic, 3),
+      criticalValues: test.criticalValues,
+      cointegrated: test.cointegrated
+    },
+    halfLife: round(test.halfLife, 1),
+    spreadMean: round(mean, 6),
+    spreadStd: round(std, 6),
+    zScore: round((spread[spread.length - 1] - mean) / std, 2),
+    spread: spread.map((value, i) => ({
+      date: aligned.dates[i],
+      spread: round(value, 6),
+      zScore: round((value - mean) / std, 2)
+    })),
+    calculatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  DEFAULT_PAIR_DAYS,
+  criticalValues,
+  engleGranger,
+  analyzePair
+};
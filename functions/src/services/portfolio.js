@@ -0,0 +1,177 @@
+const { getHistoricalPrices, transformPrices } = require('./correlations');
+const { normalPdf, normalQuantile } = require('./statistics');
+const { round } = require('./numbers');
+
+const DEFAULT_RISK_DAYS = 365;
+const DEFAULT_CONFIDENCE = 0.95;
+const TRADING_DAYS_PER_YEAR = 252;
+
+// Fewer common return days than this and the covariance matrix is mostly noise
+const MIN_RETURN_OBSERVATIONS = 30;
+
+/**
+ * Fetch closes for several tickers and join them on the dates they all traded.
+ * Tickers with too little history, or whose history can't be fetched (unknown
+ * or delisted symbols), are dropped and reported in `missing`.
+ * Returns { tickers, dates, returns } where returns[i] is the simple return
+ * series of tickers[i] over dates (the first common date has no return).
+ */
+async function loadReturnMatrix(tickers, options = {}) {
+  const { days = DEFAULT_RISK_DAYS, start, end } = options;
+
+  const histories = await Promise.all(
+    tickers.map(async ticker => {
+      try {
+        const prices = await getHistoricalPrices(ticker, days, { start, end });
+        return { ticker, prices };
+      } catch (err) {
+        console.error(`Failed to get history for ${ticker}:`, err.message);
+        return { ticker, prices: [] };
+      }
+    })
+  );
+
+  const valid = histories.filter(h => h.prices.length > MIN_RETURN_OBSERVATIONS);
+  const missing = histories.filter(h => h.prices.length <= MIN_RETURN_OBSERVATIONS).map(h => h.ticker);
+
+  const closesByDate = valid.map(h => new Map(h.prices.map(p => [p.date, p.close])));
+  const dates = valid.length === 0
+    ? []
+    : valid[0].prices
+      .map(p => p.date)
+      .filter(date => closesByDate.every(closes => closes.has(date)));
+
+  return {
+    tickers: valid.map(h => h.ticker),
+    missing,
+    dates: dates.slice(1),
+    returns: closesByDate.map(closes => transformPrices(dates.map(date => closes.get(date)), 'simple'))
+  };
+}
+
+/**
+ * Sample covariance matrix of return series (one array per asset).
+ */
+function covarianceMatrix(returns) {
+  const n = returns[0].length;
+  const means = returns.map(series => series.reduce((sum, r) => sum + r, 0) / n);
+
+  return returns.map((seriesA, i) =>
+    returns.map((seriesB, j) => {
+      let sum = 0;
+      for (let t = 0; t < n; t++) {
+        sum += (seriesA[t] - means[i]) * (seriesB[t] - means[j]);
+      }
+      return sum / (n - 1);
+    })
+  );
+}
+
+function multiply(matrix, vector) {
+  return matrix.map(row => row.reduce((sum, value, j) => sum + value * vector[j], 0));
+}
+
+/**
+ * 1-day VaR and Expected Shortfall of a daily return series at `confidence`,
+ * as positive loss fractions. Parametric uses N(mean, volatility²); historical
+ * uses the worst (1 - confidence) share of observed days.
+ */
+function tailRisk(portfolioReturns, volatility, confidence = DEFAULT_CONFIDENCE) {
+  const meanReturn = portfolioReturns.reduce((sum, r) => sum + r, 0) / portfolioReturns.length;
+
+  // Parametric: loss quantile of N(μ, σ²) and the normal tail expectation beyond it
+  const z = normalQuantile(confidence);
+
+  // Historical: worst (1 - confidence) share of observed days. 1 - 0.9 is a hair
+  // under 0.1 in floating point, so round before flooring or 20 days keep only 1
+  const sorted = [...portfolioReturns].sort((a, b) => a - b);
+  const tailCount = Math.max(1, Math.floor(Number((sorted.length * (1 - confidence)).toFixed(9))));
+  const tail = sorted.slice(0, tailCount);
+
+  return {
+    parametricVaR: z * volatility - meanReturn,
+    parametricES: volatility * normalPdf(z) / (1 - confidence) - meanReturn,
+    historicalVaR: -tail[tail.length - 1],
+    historicalES: -tail.reduce((sum, r) => sum + r, 0) / tail.length
+  };
+}
+
+/**
+ * Risk of a weighted portfolio from its daily return history:
+ *  - annualized volatility from wᵀΣw
+ *  - 1-day VaR and Expected Shortfall at `confidence`, both parametric (normal)
+ *    and historical (empirical quantile of past portfolio returns)
+ *  - each position's contribution to volatility, w_i (Σw)_i / σ, which sums to σ
+ * Losses are reported as positive fractions of portfolio value.
+ */
+async function calculatePortfolioRisk(positions, options = {}) {
+  const { confidence = DEFAULT_CONFIDENCE } = options;
+
+  const { tickers, missing, dates, returns } = await loadReturnMatrix(
+    positions.map(p => p.ticker),
+    options
+  );
+
+  if (tickers.length === 0 || dates.length < MIN_RETURN_OBSERVATIONS) {
+    return { positions: [], missing, observations: dates.length, insufficient: true };
+  }
+
+  // Renormalize over the positions that have data so weights sum to 1. Dropping
+  // tickers can leave longs and shorts that net to nothing, with no way to scale
+  const rawWeights = tickers.map(ticker => positions.find(p => p.ticker === ticker).weight);
+  const totalWeight = rawWeights.reduce((sum, w) => sum + w, 0);
+
+  if (!Number.isFinite(totalWeight) || totalWeight <= 0) {
+    return { positions: [], missing, observations: dates.length, invalidWeights: true };
+  }
+
+  const weights = rawWeights.map(w => w / totalWeight);
+
+  console.log(`Calculating portfolio risk for ${tickers.length} positions over ${dates.length} days...`);
+
+  const covariance = covarianceMatrix(returns);
+  const marginal = multiply(covariance, weights);
+  const variance = weights.reduce((sum, w, i) => sum + w * marginal[i], 0);
+  const volatility = Math.sqrt(variance);
+
+  const portfolioReturns = dates.map((_, t) => weights.reduce((sum, w, i) => sum + w * returns[i][t], 0));
+  const { parametricVaR, parametricES, historicalVaR, historicalES } = tailRisk(portfolioReturns, volatility, confidence);
+
+  const annualize = Math.sqrt(TRADING_DAYS_PER_YEAR);
+
+  return {
+    positions: tickers.map((ticker, i) => ({
+      ticker,
+      weight: round(weights[i], 6),
+      volatility: round(Math.sqrt(covariance[i][i]) * annualize, 6),
+      riskContribution: round(weights[i] * marginal[i] / volatility * annualize, 6),
+      riskContributionPct: round(weights[i] * marginal[i] / variance, 6)
+    })),
+    missing,
+    volatility: round(volatility * annualize, 6),
+    dailyVolatility: round(volatility, 6),
+    confidence,
+    horizonDays: 1,
+    valueAtRisk: {
+      parametric: round(parametricVaR, 6),
+      historical: round(historicalVaR, 6)
+    },
+    expectedShortfall: {
+      parametric: round(parametricES, 6),
+      historical: round(historicalES, 6)
+    },
+    observations: dates.length,
+    window: { start: dates[0], end: dates[dates.length - 1] },
+    calculatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  DEFAULT_RISK_DAYS,
+  DEFAULT_CONFIDENCE,
+  TRADING_DAYS_PER_YEAR,
+  loadReturnMatrix,
+  covarianceMatrix,
+  tailRisk,
+  calculatePortfolioRisk
+};
@@ -0,0 +1,199 @@
+const { getFromS3, saveToS3 } = require('./s3');
+const { getMarketData, tickerNotFound } = require('./marketData');
+const { TICKER_PATTERN } = require('./tickers');
+
+// Bump when the stored bar shape changes; older stores are rebuilt from scratch
+const STORE_VERSION = 2;
+
+// A store refreshed more recently than this is used as-is
+const REFRESH_MINUTES = 60;
+
+// In-flight updates per ticker, so concurrent requests share one upstream fetch
+const pendingUpdates = new Map();
+
+function storeKey(ticker) {
+  return `history/${ticker}_1d.json`;
+}
+
+function toDate(seconds, length = 10) {
+  return new Date(seconds * 1000).toISOString().slice(0, length);
+}
+
+function eventKey(event) {
+  return `${event.type}:${event.date}`;
+}
+
+/**
+ * Provider history as dated bars and events. Daily dates are YYYY-MM-DD and
+ * intraday ones the bar's UTC start, YYYY-MM-DDTHH:mm. Bars without a close
+ * are dropped. Daily bars with no adjusted close from the provider use the
+ * close; intraday bars have none.
+ */
+async function fetchHistory(ticker, period1, period2, interval) {
+  const { bars, events } = await getMarketData().getHistory(ticker, { period1, period2, interval });
+  const dateLength = interval === '1d' ? 10 : 16;
+
+  return {
+    bars: bars
+      .filter(bar => bar.close !== null && bar.close !== undefined)
+      .map(bar => ({
+        date: toDate(bar.timestamp, dateLength),
+        open: bar.open,
+        high: bar.high,
+        low: bar.low,
+        close: bar.close,
+        adjClose: interval === '1d' ? bar.adjClose ?? bar.close : null,
+        volume: bar.volume
+      })),
+    events: events.map(({ timestamp, ...event }) => ({ date: toDate(timestamp), ...event }))
+  };
+}
+
+function fetchDaily(ticker, fromDate, toSeconds) {
+  return fetchHistory(ticker, Math.floor(Date.parse(fromDate) / 1000), toSeconds, '1d');
+}
+
+/**
+ * Union of two date-sorted lists; items with the same key keep the incoming one.
+ */
+function mergeByKey(existing, incoming, keyOf) {
+  const byKey = new Map(existing.map(item => [keyOf(item), item]));
+  incoming.forEach(item => byKey.set(keyOf(item), item));
+  return [...byKey.values()].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+async function loadStore(ticker) {
+  try {
+    const stored = await getFromS3(storeKey(ticker));
+    return stored?.version === STORE_VERSION ? stored : null;
+  } catch (error) {
+    console.error(`Failed to read stored history for ${ticker}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Bring the stored history for `ticker` up to date and back to `fromDate`,
+ * fetching only what is missing: older bars before the covered range, and
+ * bars since the last stored one (which is refetched, as it may have been a
+ * partial day). A split or dividend we haven't seen re-bases the adjusted
+ * closes (and, for splits, the closes), so the whole range is refetched then.
+ * If the provider fails, whatever is stored is served instead.
+ */
+async function updateStore(ticker, fromDate) {
+  const stored = await loadStore(ticker);
+  const now = Date.now();
+  const nowSeconds = Math.floor(now / 1000);
+
+  let bars = stored?.bars || [];
+  let events = stored?.events || [];
+  let coveredFrom = stored?.coveredFrom || null;
+  let updatedAt = stored?.updatedAt || null;
+  let changed = false;
+
+  try {
+    let rebuild = false;
+
+    if (stored && now - Date.parse(stored.updatedAt) > REFRESH_MINUTES * 60 * 1000) {
+      const lastDate = bars.length > 0 ? bars[bars.length - 1].date : coveredFrom;
+      const appended = await fetchDaily(ticker, lastDate, nowSeconds);
+      const knownEvents = new Set(events.map(eventKey));
+
+      if (appended.events.some(event => !knownEvents.has(eventKey(event)))) {
+        rebuild = true;
+      } else {
+        bars = mergeByKey(bars, appended.bars, bar => bar.date);
+        console.log(`✓ Appended ${Math.max(0, appended.bars.length - 1)} new bar(s) to ${ticker} history`);
+      }
+      updatedAt = new Date(now).toISOString();
+      changed = true;
+    }
+
+    if (rebuild) {
+      coveredFrom = fromDate < coveredFrom ? fromDate : coveredFrom;
+      ({ bars, events } = await fetchDaily(ticker, coveredFrom, nowSeconds));
+      console.log(`✓ Rebuilt ${ticker} history after a new split or dividend`);
+    } else if (!coveredFrom || fromDate < coveredFrom) {
+      const until = coveredFrom ? Math.floor(Date.parse(coveredFrom) / 1000) : nowSeconds;
+      const backfill = await fetchDaily(ticker, fromDate, until);
+      bars = mergeByKey(bars, backfill.bars, bar => bar.date);
+      events = mergeByKey(events, backfill.events, eventKey);
+      coveredFrom = fromDate;
+      updatedAt = updatedAt || new Date(now).toISOString();
+      changed = true;
+    }
+  } catch (error) {
+    if (!stored) {
+      throw error;
+    }
+    console.error(`Failed to update stored history for ${ticker}, serving stored bars:`, error.message);
+    return stored;
+  }
+
+  const store = { version: STORE_VERSION, ticker, coveredFrom, updatedAt, bars, events };
+
+  if (changed) {
+    try {
+      await saveToS3(storeKey(ticker), store);
+    } catch (error) {
+      console.error(`Failed to save history for ${ticker}:`, error.message);
+    }
+  }
+
+  return store;
+}
+
+/**
+ * Daily bars and split/dividend events for `ticker` from `start` to `end`
+ * (YYYY-MM-DD, inclusive; `end` defaults to today), read from the per-ticker
+ * history store in S3. Each ticker's history is fetched once and then only
+ * extended, so adding a ticker to a watchlist doesn't refetch the others.
+ */
+async function getDailyHistory(ticker, { start, end } = {}) {
+  // The ticker is part of the store's S3 key
+  if (!TICKER_PATTERN.test(ticker)) {
+    throw tickerNotFound(ticker);
+  }
+
+  while (pendingUpdates.has(ticker)) {
+    await pendingUpdates.get(ticker).catch(() => {});
+  }
+
+  const update = updateStore(ticker, start);
+  pendingUpdates.set(ticker, update);
+
+  let store;
+  try {
+    store = await update;
+  } finally {
+    pendingUpdates.delete(ticker);
+  }
+
+  const inRange = item => item.date >= start && (!end || item.date <= end);
+
+  return {
+    bars: store.bars.filter(inRange),
+    events: store.events.filter(inRange)
+  };
+}
+
+/**
+ * Bars { date, open, high, low, close, adjClose, volume } and events for
+ * [period1, period2) (unix seconds). Daily bars come from the history store;
+ * intraday bars are fetched directly.
+ */
+async function getPriceHistory(ticker, { period1, period2, interval = '1d' }) {
+  if (interval === '1d') {
+    return getDailyHistory(ticker, {
+      start: toDate(period1),
+      end: toDate(period2 - 1)
+    });
+  }
+
+  return fetchHistory(ticker, period1, period2, interval);
+}
+
+module.exports = {
+  getDailyHistory,
+  getPriceHistory
+};
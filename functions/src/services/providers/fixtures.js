@@ -0,0 +1,140 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { tickerNotFound } = require('../marketData');
+
+/*
+ * Market data on disk, in the shapes the adapters return:
+ *   quotes/AAPL.json        getQuote, getQuotes
+ *   history/AAPL_1d.json    getHistory bars and events for one interval, all recorded ranges merged
+ *   profiles/AAPL.json      getProfile
+ *   search/apple.json       search results for one (lowercased) query
+ * Record a real set with the Yahoo adapter by setting MARKET_DATA_RECORD_DIR. The set
+ * committed in functions/fixtures is generated, not recorded: synthetic prices from
+ * scripts/generateFixtures.js (see fixtures/README.md).
+ */
+
+function fixturePath(dir, kind, name) {
+  // Encoded so symbols like ^GSPC or queries with slashes stay inside the directory
+  return path.join(dir, kind, `${encodeURIComponent(name)}.json`);
+}
+
+async function readFixture(dir, kind, name) {
+  try {
+    return JSON.parse(await fs.readFile(fixturePath(dir, kind, name), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function recordFixture(dir, kind, name, data) {
+  const file = fixturePath(dir, kind, name);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(data, null, 2));
+  console.log(`✓ Recorded fixture: ${kind}/${name}`);
+}
+
+function mergeByKey(recorded, incoming, keyOf) {
+  const merged = new Map(recorded.map(item => [keyOf(item), item]));
+  incoming.forEach(item => merged.set(keyOf(item), item));
+  return [...merged.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Merge newly fetched bars and events into the recorded history, newest values
+ * winning, so successive recordings build up one continuous history.
+ */
+async function recordHistory(dir, ticker, interval = '1d', history) {
+  const name = `${ticker}_${interval}`;
+  const recorded = (await readFixture(dir, 'history', name)) || { bars: [], events: [] };
+
+  await recordFixture(dir, 'history', name, {
+    bars: mergeByKey(recorded.bars, history.bars, bar => bar.timestamp),
+    events: mergeByKey(recorded.events, history.events, event => `${event.type}:${event.timestamp}`)
+  });
+}
+
+/**
+ * Market-data adapter that serves recorded fixtures from `dir`, with no network access.
+ * Tickers without a recording behave like unknown symbols.
+ */
+function createFixtureProvider(dir) {
+  async function requireFixture(kind, name, ticker) {
+    const data = await readFixture(dir, kind, name);
+    if (data === null) {
+      throw tickerNotFound(ticker);
+    }
+    return data;
+  }
+
+  return {
+    name: `fixtures (${dir})`,
+
+    getQuote(ticker) {
+      return requireFixture('quotes', ticker, ticker);
+    },
+
+    async getQuotes(tickers) {
+      const recorded = await Promise.all(tickers.map(ticker => readFixture(dir, 'quotes', ticker)));
+      const quotes = {};
+      recorded.forEach((quote, i) => {
+        if (quote) quotes[tickers[i]] = quote;
+      });
+      return quotes;
+    },
+
+    async getHistory(ticker, { period1, period2, interval = '1d' } = {}) {
+      const { bars, events } = await requireFixture('history', `${ticker}_${interval}`, ticker);
+      const inRange = item =>
+        (period1 === undefined || item.timestamp >= period1) &&
+        (period2 === undefined || item.timestamp < period2);
+
+      return {
+        bars: bars.filter(inRange),
+        events: events.filter(inRange)
+      };
+    },
+
+    getProfile(ticker) {
+      return requireFixture('profiles', ticker, ticker);
+    },
+
+    // Unrecorded queries fall back to matching recorded quotes by ticker or name
+    async search(query) {
+      const recorded = await readFixture(dir, 'search', query.toLowerCase());
+      if (recorded) {
+        return recorded;
+      }
+
+      let files;
+      try {
+        files = await fs.readdir(path.join(dir, 'quotes'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const needle = query.toLowerCase();
+      const quotes = await Promise.all(files
+        .filter(file => file.endsWith('.json'))
+        .map(file => readFixture(dir, 'quotes', decodeURIComponent(file.slice(0, -'.json'.length)))));
+
+      return quotes
+        .filter(quote => quote.ticker.toLowerCase().includes(needle) || quote.name?.toLowerCase().includes(needle))
+        .map(quote => ({
+          ticker: quote.ticker,
+          name: quote.name,
+          exchange: quote.exchange,
+          assetType: null
+        }));
+    }
+  };
+}
+
+module.exports = {
+  createFixtureProvider,
+  recordFixture,
+  recordHistory
+};
@@ -0,0 +1,167 @@
+const axios = require('axios');
+const YahooFinance = require('yahoo-finance2').default;
+const { tickerNotFound } = require('../marketData');
+
+const yahooFinance = new YahooFinance({ suppressNotices: ['yahooSurvey'] });
+
+const CHART_URL = 'https://query1.finance.yahoo.com/v8/finance/chart';
+const QUOTE_TIMEOUT_MS = 5000;
+const SEARCH_LIMIT = 10;
+
+// Fields the multi-symbol quote call needs to return; keeps the batch responses small
+const QUOTE_FIELDS = [
+  'symbol',
+  'shortName',
+  'longName',
+  'regularMarketPrice',
+  'regularMarketPreviousClose',
+  'currency',
+  'fullExchangeName'
+];
+
+/**
+ * First chart result for a ticker; Yahoo answers unknown symbols with a 404
+ * or an empty result.
+ */
+async function fetchChart(ticker, params = {}, options = {}) {
+  try {
+    const response = await axios.get(`${CHART_URL}/${ticker}`, { params, ...options });
+    const result = response.data.chart.result?.[0];
+    if (!result?.meta) {
+      throw tickerNotFound(ticker);
+    }
+    return result;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw tickerNotFound(ticker);
+    }
+    throw error;
+  }
+}
+
+async function getQuote(ticker) {
+  const { meta } = await fetchChart(ticker, {}, { timeout: QUOTE_TIMEOUT_MS });
+
+  return {
+    ticker: meta.symbol,
+    name: meta.shortName || meta.longName || null,
+    price: meta.regularMarketPrice,
+    previousClose: meta.chartPreviousClose,
+    currency: meta.currency || null,
+    exchange: meta.exchangeName || null
+  };
+}
+
+/**
+ * Quotes for several tickers from Yahoo's multi-symbol quote endpoint.
+ * Symbols Yahoo doesn't recognize are simply missing from its response.
+ */
+async function getQuotes(tickers) {
+  const results = await yahooFinance.quote(tickers, { return: 'array', fields: QUOTE_FIELDS });
+  const quotes = {};
+
+  results.forEach(result => {
+    quotes[result.symbol] = {
+      ticker: result.symbol,
+      name: result.shortName || result.longName || null,
+      price: result.regularMarketPrice ?? null,
+      previousClose: result.regularMarketPreviousClose ?? null,
+      currency: result.currency || null,
+      exchange: result.fullExchangeName || null
+    };
+  });
+
+  return quotes;
+}
+
+/**
+ * Splits and dividends from a chart result's `events`, which Yahoo keys by timestamp.
+ */
+function chartEvents(events = {}) {
+  const splits = Object.values(events.splits || {}).map(split => ({
+    type: 'split',
+    timestamp: split.date,
+    numerator: split.numerator,
+    denominator: split.denominator
+  }));
+  const dividends = Object.values(events.dividends || {}).map(dividend => ({
+    type: 'dividend',
+    timestamp: dividend.date,
+    amount: dividend.amount
+  }));
+
+  return [...splits, ...dividends].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+async function getHistory(ticker, { period1, period2, interval = '1d' } = {}) {
+  const result = await fetchChart(ticker, { interval, period1, period2, events: 'div|split' });
+  const timestamps = result.timestamp || [];
+  const quote = result.indicators.quote[0] || {};
+  // Yahoo only sends adjusted closes for daily and longer bars
+  const adjClose = result.indicators.adjclose?.[0]?.adjclose;
+
+  return {
+    bars: timestamps.map((timestamp, i) => ({
+      timestamp,
+      open: quote.open?.[i] ?? null,
+      high: quote.high?.[i] ?? null,
+      low: quote.low?.[i] ?? null,
+      close: quote.close?.[i] ?? null,
+      adjClose: adjClose?.[i] ?? null,
+      volume: quote.volume?.[i] ?? null
+    })),
+    events: chartEvents(result.events)
+  };
+}
+
+/**
+ * Funds and indices have no asset profile, so sector/industry stay null for them.
+ */
+async function getProfile(ticker) {
+  let summary;
+  try {
+    summary = await yahooFinance.quoteSummary(ticker, {
+      modules: ['assetProfile', 'quoteType', 'price']
+    });
+  } catch (error) {
+    if (/not found/i.test(error.message)) {
+      throw tickerNotFound(ticker);
+    }
+    throw error;
+  }
+
+  return {
+    ticker,
+    name: summary.price?.longName || summary.price?.shortName || summary.quoteType?.shortName || null,
+    sector: summary.assetProfile?.sector || null,
+    industry: summary.assetProfile?.industry || null,
+    exchange: summary.price?.exchangeName || summary.quoteType?.exchange || null,
+    assetType: summary.quoteType?.quoteType || null,
+    currency: summary.price?.currency || null
+  };
+}
+
+async function search(query) {
+  const { quotes = [] } = await yahooFinance.search(query, {
+    quotesCount: SEARCH_LIMIT,
+    newsCount: 0
+  });
+
+  return quotes
+    .filter(quote => quote.symbol && quote.isYahooFinance !== false)
+    .map(quote => ({
+      ticker: quote.symbol,
+      name: quote.longname || quote.shortname || null,
+      exchange: quote.exchDisp || quote.exchange || null,
+      assetType: quote.quoteType || null
+    }));
+}
+
+module.exports = {
+  name: 'yahoo',
+  getQuote,
+  getQuotes,
+  getHistory,
+  getProfile,
+  search
+};
@@ -1,10 +1,20 @@
 const { s3 } = require('../config/aws');
+const { CACHE_BACKEND } = require('../config/cache');
 
 const BUCKET_NAME = process.env.S3_BUCKET_NAME;
 
+// Stand-in for the bucket when CACHE_BACKEND is 'memory'; values are kept as
+// JSON strings so callers get fresh copies, as they would from S3
+const memoryStore = CACHE_BACKEND === 'memory' ? new Map() : null;
+
 async function saveToS3(key, data) {
   try {
     const body = typeof data === 'string' ? data : JSON.stringify(data);
+
+    if (memoryStore) {
+      memoryStore.set(key, body);
+      return true;
+    }
     
     const params = {
       Bucket: BUCKET_NAME,
@@ -26,6 +36,10 @@ async function saveToS3(key, data) {
 
 async function getFromS3(key) {
   try {
+    if (memoryStore) {
+      return memoryStore.has(key) ? JSON.parse(memoryStore.get(key)) : null;
+    }
+
     const params = {
       Bucket: BUCKET_NAME,
       Key: key
@@ -51,6 +65,11 @@ async function getFromS3(key) {
 
 async function deleteFromS3(key) {
   try {
+    if (memoryStore) {
+      memoryStore.delete(key);
+      return true;
+    }
+
     const params = {
       Bucket: BUCKET_NAME,
       Key: key
@@ -69,6 +88,10 @@ async function deleteFromS3(key) {
 
 async function existsInS3(key) {
   try {
+    if (memoryStore) {
+      return memoryStore.has(key);
+    }
+
     const params = {
       Bucket: BUCKET_NAME,
       Key: key
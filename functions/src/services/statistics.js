@@ -0,0 +1,122 @@
+const ss = require('simple-statistics');
+
+/**
+ * Standard normal CDF via the error function.
+ */
+function normalCdf(x) {
+  return 0.5 * (1 + ss.errorFunction(x / Math.SQRT2));
+}
+
+/**
+ * Standard normal density.
+ */
+function normalPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation, ~1e-9 relative error).
+ */
+function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Standard error of Fisher's z = atanh(r) for a correlation from n observations.
+ * Rank estimators use the Fieller, Hartley & Pearson variances.
+ */
+function fisherStandardError(n, estimator = 'pearson') {
+  if (estimator === 'spearman') return Math.sqrt(1.06 / (n - 3));
+  if (estimator === 'kendall') return Math.sqrt(0.437 / (n - 4));
+  return 1 / Math.sqrt(n - 3);
+}
+
+/**
+ * Two-sided p-value (H0: no correlation) and (1 - alpha) confidence interval
+ * for a correlation, both from the Fisher z transform.
+ * Returns { pValue: null, ci: null } when n is too small to say anything.
+ */
+function correlationSignificance(r, n, estimator = 'pearson', alpha = 0.05) {
+  if (r === null || n <= 4) {
+    return { pValue: null, ci: null };
+  }
+
+  // Keep atanh finite for perfectly (anti)correlated series
+  const clamped = Math.max(-0.999999, Math.min(0.999999, r));
+  const z = Math.atanh(clamped);
+  const se = fisherStandardError(n, estimator);
+  const critical = normalQuantile(1 - alpha / 2);
+
+  return {
+    pValue: 2 * (1 - normalCdf(Math.abs(z) / se)),
+    ci: [Math.tanh(z - critical * se), Math.tanh(z + critical * se)]
+  };
+}
+
+/**
+ * Exponential weights for n observations in time order: the newest gets weight 1
+ * and a weight halves every `halfLife` observations back.
+ */
+function ewmaWeights(n, halfLife) {
+  return Array.from({ length: n }, (_, t) => Math.pow(0.5, (n - 1 - t) / halfLife));
+}
+
+/**
+ * Exponentially weighted Pearson correlation of two equal-length series,
+ * so recent co-movement counts more and old shocks fade out gradually.
+ */
+function ewmaCorrelation(x, y, halfLife) {
+  const weights = ewmaWeights(x.length, halfLife);
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const meanX = weights.reduce((sum, w, t) => sum + w * x[t], 0) / totalWeight;
+  const meanY = weights.reduce((sum, w, t) => sum + w * y[t], 0) / totalWeight;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  weights.forEach((w, t) => {
+    covariance += w * (x[t] - meanX) * (y[t] - meanY);
+    varianceX += w * (x[t] - meanX) ** 2;
+    varianceY += w * (y[t] - meanY) ** 2;
+  });
+
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Kish effective sample size of a weighting scheme, (Σw)² / Σw².
+ */
+function effectiveSampleSize(weights) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const squares = weights.reduce((sum, w) => sum + w * w, 0);
+  return (total * total) / squares;
+}
+
+module.exports = {
+  normalCdf,
+  normalPdf,
+  normalQuantile,
+  fisherStandardError,
+  correlationSignificance,
+  ewmaWeights,
+  ewmaCorrelation,
+  effectiveSampleSize
+};
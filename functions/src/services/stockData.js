@@ -1,43 +1,86 @@
-const axios = require('axios');
+const { getMarketData } = require('./marketData');
 
 // Default stocks (used if no tickers provided)
 const DEFAULT_STOCKS = ['AAPL', 'NVDA', 'GOOGL', 'MSFT', 'AMZN', 'META', 'TSLA'];
 
+// Tickers per multi-symbol quote request, and how many requests run at once,
+// so large watchlists stay under Yahoo's throttling
+const QUOTE_BATCH_SIZE = 50;
+const MAX_CONCURRENT_BATCHES = 2;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Run `task` over every item with at most `limit` calls in flight.
+ */
+async function forEachWithConcurrency(items, limit, task) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      await task(items[next++]);
+    }
+  });
+  await Promise.all(workers);
+}
+
+/**
+ * Current prices for the tickers, fetched in batches.
+ * Returns { stocks, errors }: stocks in the order asked for, and one
+ * { ticker, code, message } per ticker that has no usable quote.
+ */
 async function getCurrentPrices(tickers = DEFAULT_STOCKS) {
-  try {
-    console.log(`Fetching prices for ${tickers.length} stocks:`, tickers);
-
-    const results = await Promise.all(
-      tickers.map(async (ticker) => {
-        try {
-          const response = await axios.get(
-            `https://query1.finance.yahoo.com/v8/finance/chart/${ticker}`,
-            { timeout: 5000 }
-          );
-
-          const meta = response.data.chart.result[0].meta;
-
-          return {
-            ticker: ticker,
-            price: meta.regularMarketPrice,
-            previousClose: meta.chartPreviousClose,
-            change: meta.regularMarketPrice - meta.chartPreviousClose,
-            changePercent: ((meta.regularMarketPrice - meta.chartPreviousClose) / meta.chartPreviousClose) * 100
-          };
-        } catch (err) {
-          console.error(`Failed to fetch ${ticker}:`, err.message);
-          return null;
-        }
-      })
-    );
-
-    // Filter out failed fetches
-    return results.filter(r => r !== null);
-
-  } catch (error) {
-    console.error('Error fetching stock data:', error);
-    throw error;
+  const uniqueTickers = [...new Set(tickers.filter(Boolean))];
+  const batches = chunk(uniqueTickers, QUOTE_BATCH_SIZE);
+  console.log(`Fetching prices for ${uniqueTickers.length} stocks in ${batches.length} batch(es)`);
+
+  const quotes = {};
+  const failures = {};
+
+  await forEachWithConcurrency(batches, MAX_CONCURRENT_BATCHES, async (batch) => {
+    try {
+      Object.assign(quotes, await getMarketData().getQuotes(batch));
+    } catch (err) {
+      console.error(`Failed to fetch quotes for ${batch.join(', ')}:`, err.message);
+      batch.forEach(ticker => {
+        failures[ticker] = { code: 'QUOTE_FETCH_FAILED', message: err.message };
+      });
+    }
+  });
+
+  const stocks = [];
+  const errors = [];
+
+  uniqueTickers.forEach(ticker => {
+    const quote = quotes[ticker];
+
+    if (failures[ticker]) {
+      errors.push({ ticker, ...failures[ticker] });
+    } else if (!quote) {
+      errors.push({ ticker, code: 'TICKER_NOT_FOUND', message: `No quote found for "${ticker}"` });
+    } else if (!Number.isFinite(quote.price) || !Number.isFinite(quote.previousClose) || quote.previousClose === 0) {
+      errors.push({ ticker, code: 'NO_PRICE', message: `No current price for "${ticker}"` });
+    } else {
+      stocks.push({
+        ticker: ticker,
+        price: quote.price,
+        previousClose: quote.previousClose,
+        change: quote.price - quote.previousClose,
+        changePercent: ((quote.price - quote.previousClose) / quote.previousClose) * 100
+      });
+    }
+  });
+
+  if (errors.length > 0) {
+    console.log(`○ No prices for: ${errors.map(e => e.ticker).join(', ')}`);
   }
+
+  return { stocks, errors };
 }
 
-module.exports = { getCurrentPrices, DEFAULT_STOCKS };
\ No newline at end of file
+module.exports = { getCurrentPrices, DEFAULT_STOCKS };
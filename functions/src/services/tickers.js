@@ -0,0 +1,15 @@
+// Ticker symbols as Yahoo writes them (AAPL, BRK.B, ^GSPC, EURUSD=X). They end up in
+// S3 keys, so input has to match this before it reaches a cache or the history store.
+const TICKER_PATTERN = /^[A-Z0-9.\-^=]{1,10}$/;
+
+/**
+ * Trim and uppercase a user-supplied symbol. Missing values become ''.
+ */
+function normalizeTicker(value) {
+  return String(value ?? '').trim().toUpperCase();
+}
+
+module.exports = {
+  TICKER_PATTERN,
+  normalizeTicker
+};
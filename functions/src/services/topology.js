@@ -0,0 +1,149 @@
+// Ways of turning the full correlation matrix into the edge set we draw
+const TOPOLOGIES = ['threshold', 'mst', 'pmfg', 'knn'];
+const DEFAULT_TOPOLOGY = 'threshold';
+const DEFAULT_NEIGHBORS = 3;
+
+// Missing correlations (too little overlap) are treated as 0
+function correlationAt(matrix, i, j) {
+  return matrix[i][j] === null ? 0 : matrix[i][j];
+}
+
+function allPairs(n) {
+  const pairs = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      pairs.push([i, j]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Every pair whose |correlation| is above the threshold (the original behavior).
+ */
+function thresholdPairs(matrix, threshold) {
+  return allPairs(matrix.length)
+    .filter(([i, j]) => matrix[i][j] !== null && Math.abs(matrix[i][j]) > threshold);
+}
+
+/**
+ * Minimum spanning tree (Kruskal) on the Mantegna distance sqrt(2(1 - ρ)).
+ */
+function minimumSpanningTreePairs(matrix) {
+  const parent = matrix.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  const candidates = allPairs(matrix.length)
+    .map(([i, j]) => ({ i, j, distance: Math.sqrt(2 * (1 - correlationAt(matrix, i, j))) }))
+    .sort((a, b) => a.distance - b.distance);
+
+  const pairs = [];
+  for (const { i, j } of candidates) {
+    const rootI = find(i);
+    const rootJ = find(j);
+    if (rootI !== rootJ) {
+      parent[rootI] = rootJ;
+      pairs.push([i, j]);
+      if (pairs.length === matrix.length - 1) break;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Planar maximally filtered graph, built with the triangulated (TMFG) construction:
+ * start from the strongest 4-clique, then repeatedly insert the vertex/face pair with
+ * the largest total correlation into a triangular face. The result is planar by
+ * construction and has 3(n - 2) edges, like the PMFG.
+ */
+function planarFilteredPairs(matrix) {
+  const n = matrix.length;
+  if (n <= 4) return allPairs(n);
+
+  const weight = (i, j) => correlationAt(matrix, i, j);
+
+  // Seed with the 4 vertices that have the largest total correlation to everyone else
+  const strength = matrix.map((_, i) => matrix.reduce((sum, __, j) => (i === j ? sum : sum + weight(i, j)), 0));
+  const seed = matrix
+    .map((_, i) => i)
+    .sort((a, b) => strength[b] - strength[a])
+    .slice(0, 4);
+
+  const pairs = [];
+  for (let x = 0; x < 4; x++) {
+    for (let y = x + 1; y < 4; y++) {
+      pairs.push([seed[x], seed[y]]);
+    }
+  }
+
+  let faces = [
+    [seed[0], seed[1], seed[2]],
+    [seed[0], seed[1], seed[3]],
+    [seed[0], seed[2], seed[3]],
+    [seed[1], seed[2], seed[3]]
+  ];
+  const remaining = new Set(matrix.map((_, i) => i).filter(i => !seed.includes(i)));
+
+  while (remaining.size > 0) {
+    let best = null;
+
+    remaining.forEach(vertex => {
+      faces.forEach((face, f) => {
+        const gain = weight(vertex, face[0]) + weight(vertex, face[1]) + weight(vertex, face[2]);
+        if (!best || gain > best.gain) {
+          best = { vertex, face: f, gain };
+        }
+      });
+    });
+
+    const [a, b, c] = faces[best.face];
+    const v = best.vertex;
+    pairs.push([v, a], [v, b], [v, c]);
+    faces = faces.filter((_, f) => f !== best.face);
+    faces.push([v, a, b], [v, b, c], [v, a, c]);
+    remaining.delete(v);
+  }
+
+  return pairs.map(([i, j]) => (i < j ? [i, j] : [j, i]));
+}
+
+/**
+ * Each node keeps its k strongest neighbors by |correlation| (union over nodes).
+ */
+function nearestNeighborPairs(matrix, k) {
+  const keys = new Set();
+
+  matrix.forEach((row, i) => {
+    row
+      .map((correlation, j) => ({ j, strength: correlation === null ? -1 : Math.abs(correlation) }))
+      .filter(({ j, strength }) => j !== i && strength >= 0)
+      .sort((a, b) => b.strength - a.strength)
+      .slice(0, k)
+      .forEach(({ j }) => keys.add(i < j ? `${i}-${j}` : `${j}-${i}`));
+  });
+
+  return [...keys].map(key => key.split('-').map(Number));
+}
+
+/**
+ * Index pairs [i, j] (i < j) that make up the edge set for the given topology.
+ */
+function selectEdgePairs(matrix, { topology = DEFAULT_TOPOLOGY, threshold, k = DEFAULT_NEIGHBORS } = {}) {
+  switch (topology) {
+    case 'mst':
+      return minimumSpanningTreePairs(matrix);
+    case 'pmfg':
+      return planarFilteredPairs(matrix);
+    case 'knn':
+      return nearestNeighborPairs(matrix, k);
+    default:
+      return thresholdPairs(matrix, threshold);
+  }
+}
+
+module.exports = {
+  TOPOLOGIES,
+  DEFAULT_TOPOLOGY,
+  DEFAULT_NEIGHBORS,
+  selectEdgePairs
+};
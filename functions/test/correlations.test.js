@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { kendallTau, spearmanRho, correlate, correlateValues } = require('../src/services/correlations');
+
+function assertClose(actual, expected, tolerance = 1e-12) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${expected}, got ${actual}`);
+}
+
+test('Kendall tau counts concordant and discordant pairs', () => {
+  // 7 concordant, 3 discordant of 10 pairs
+  assert.equal(kendallTau([1, 2, 3, 4, 5], [3, 1, 2, 5, 4]), 0.4);
+  assert.equal(correlate([1, 2, 3, 4, 5], [3, 1, 2, 5, 4], 'kendall'), 0.4);
+});
+
+test('Kendall tau-b discounts ties on either side', () => {
+  // 4 concordant, one tie in x, one tie in y: 4 / sqrt(5 * 5)
+  assert.equal(kendallTau([1, 2, 2, 3], [1, 3, 2, 3]), 0.8);
+});
+
+test('Spearman is 1 - 6Σd² / n(n² - 1) on untied ranks', () => {
+  // Rank differences -2, 1, 1, -1, 1: Σd² = 8
+  assertClose(correlate([1, 2, 3, 4, 5], [3, 1, 2, 5, 4], 'spearman'), 0.6);
+});
+
+test('Spearman gives tied values their average rank', () => {
+  // Ranks [1, 2.5, 2.5, 4] and [1, 3.5, 2, 3.5]: covariance 3.75, variances 4.5
+  assertClose(spearmanRho([1, 2, 2, 3], [1, 3, 2, 3]), 5 / 6);
+});
+
+test('rank estimators ignore the size of an outlier', () => {
+  const x = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+  const y = [1, 2, 3, 4, 5, 6, 7, 8, 9, 1000];
+
+  assertClose(correlate(x, y, 'spearman'), 1);
+  assertClose(correlate(x, y, 'kendall'), 1);
+  assert.ok(correlate(x, y, 'pearson') < 0.6);
+});
+
+test('a series without variance has no correlation', () => {
+  const flat = new Array(12).fill(1);
+  const rising = flat.map((_, i) => i);
+
+  assert.equal(correlateValues(flat, rising, 'kendall').correlation, null);
+  assert.equal(correlateValues(flat, rising, 'spearman').correlation, null);
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIndicator, computeIndicator } = require('../src/services/indicators');
+
+function assertSeries(actual, expected, tolerance = 1e-9) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((value, i) => {
+    if (expected[i] === null) {
+      assert.equal(value, null, `index ${i}`);
+    } else {
+      assert.ok(Math.abs(value - expected[i]) < tolerance, `index ${i}: expected ${expected[i]}, got ${value}`);
+    }
+  });
+}
+
+const compute = (name, closes) => computeIndicator(parseIndicator(name), closes);
+
+const CLOSES = [2, 4, 6, 8, 4];
+
+test('parseIndicator accepts known names within the period bounds', () => {
+  assert.deepEqual(parseIndicator('sma50'), { key: 'sma50', type: 'sma', period: 50 });
+  assert.deepEqual(parseIndicator('macd'), { key: 'macd', type: 'macd', period: 26 });
+  assert.equal(parseIndicator('sma1'), null);
+  assert.equal(parseIndicator('sma251'), null);
+  assert.equal(parseIndicator('vwap'), null);
+});
+
+test('SMA averages the last N closes', () => {
+  assertSeries(compute('sma3', CLOSES).sma3, [null, null, 4, 6, 6]);
+});
+
+test('EMA is seeded with the first SMA, then smoothed with 2 / (N + 1)', () => {
+  // α = 0.5: 4, then 0.5·8 + 0.5·4 = 6, then 0.5·4 + 0.5·6 = 5
+  assertSeries(compute('ema3', CLOSES).ema3, [null, null, 4, 6, 5]);
+});
+
+test('RSI uses Wilder smoothing', () => {
+  // Changes +1, -1, +1, +1. At i = 2: gain 0.5, loss 0.5 → 50.
+  // Then gain (0.5 + 1) / 2 = 0.75, loss 0.25 → RS 3 → 75; then 0.875 / 0.125 → RS 7 → 87.5
+  assertSeries(compute('rsi2', [1, 2, 1, 2, 3]).rsi2, [null, null, 50, 75, 87.5]);
+});
+
+test('RSI is 100 when there are no losses', () => {
+  assertSeries(compute('rsi3', [1, 2, 3, 4, 5]).rsi3, [null, null, null, 100, 100]);
+});
+
+test('MACD of a straight line is the constant gap between the two EMA lags', () => {
+  // On a linear ramp an N-period EMA trails by (N - 1) / 2, so 12/26 MACD is 12.5 - 5.5 = 7
+  const closes = Array.from({ length: 60 }, (_, i) => 100 + i);
+  const { macd, macdSignal, macdHistogram } = compute('macd', closes);
+
+  assert.equal(macd[24], null);
+  assertSeries(macd.slice(25), new Array(35).fill(7));
+  assert.equal(macdSignal[32], null);
+  assertSeries(macdSignal.slice(33), new Array(27).fill(7));
+  assertSeries(macdHistogram.slice(33), new Array(27).fill(0));
+});
+
+test('Bollinger bands sit two population standard deviations from the SMA', () => {
+  const { bb3Upper, bb3Middle, bb3Lower } = compute('bb3', CLOSES);
+  // Every 3-day window here has variance 8 / 3
+  const width = 2 * Math.sqrt(8 / 3);
+
+  assertSeries(bb3Middle, [null, null, 4, 6, 6]);
+  assertSeries(bb3Upper, [null, null, 4 + width, 6 + width, 6 + width]);
+  assertSeries(bb3Lower, [null, null, 4 - width, 6 - width, 6 - width]);
+});
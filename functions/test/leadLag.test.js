@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { laggedCorrelation, crossCorrelatePair } = require('../src/services/leadLag');
+const { correlationSignificance } = require('../src/services/statistics');
+
+// Park-Miller generator, so the constructed series are the same on every run
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+}
+
+// Prices from daily returns, as { ticker, prices: [{ date, close }] }
+function series(ticker, returns) {
+  let close = 100;
+  const prices = [{ date: 'd000', close }];
+  returns.forEach((r, t) => {
+    close *= 1 + r;
+    prices.push({ date: `d${String(t + 1).padStart(3, '0')}`, close });
+  });
+  return { ticker, prices };
+}
+
+test('a positive lag pairs a[t] with b[t + lag]', () => {
+  const a = [1, 3, 2, 5, 4, 6, 8, 7, 9, 12, 10, 11, 0, 0];
+  const b = [0, 0, ...a.slice(0, 12)];
+
+  assert.ok(Math.abs(laggedCorrelation(a, b, 2).correlation - 1) < 1e-12);
+  assert.equal(laggedCorrelation(a, b, 2).observations, 12);
+  assert.ok(Math.abs(laggedCorrelation(b, a, -2).correlation - 1) < 1e-12);
+});
+
+test('an exact two-day echo is found at lag +2 with the source leading', () => {
+  const random = seededRandom(11);
+  const returns = Array.from({ length: 120 }, () => 0.02 * (random() - 0.5));
+  const echoed = [0.001, -0.002, ...returns.slice(0, -2)];
+
+  const pair = crossCorrelatePair(series('A', returns), series('B', echoed), 5, 'simple');
+
+  assert.equal(pair.bestLag, 2);
+  assert.equal(pair.correlation, 1);
+  assert.equal(pair.leader, 'A');
+  assert.equal(pair.follower, 'B');
+  assert.equal(pair.lagDays, 2);
+  assert.equal(pair.lags.length, 11);
+});
+
+test('the best-lag p-value is Bonferroni-adjusted for the 2·maxLag + 1 lags tested', () => {
+  const random = seededRandom(5);
+  const returns = Array.from({ length: 150 }, () => random() - 0.5);
+  // A one-day echo buried in noise
+  const echoed = returns.map((_, t) => (t === 0 ? 0 : 0.4 * returns[t - 1]) + (random() - 0.5));
+  const scale = values => values.map(value => value / 100);
+
+  const pair = crossCorrelatePair(series('A', scale(returns)), series('B', scale(echoed)), 5, 'simple');
+  const single = correlationSignificance(pair.correlation, pair.observations).pValue;
+
+  assert.equal(pair.bestLag, 1);
+  assert.equal(pair.pValue, Number(Math.min(1, single * 11).toPrecision(3)));
+  assert.ok(pair.pValue > single);
+});
+
+test('with no lead either way the best lag is 0 and nobody leads', () => {
+  const random = seededRandom(3);
+  const returns = Array.from({ length: 80 }, () => 0.02 * (random() - 0.5));
+
+  const pair = crossCorrelatePair(series('A', returns), series('B', returns), 3, 'simple');
+
+  assert.equal(pair.bestLag, 0);
+  assert.equal(pair.leader, null);
+  assert.equal(pair.follower, null);
+});
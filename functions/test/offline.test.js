@@ -0,0 +1,163 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// Recorded fixtures instead of Yahoo, and an in-memory cache instead of S3
+process.env.MARKET_DATA_PROVIDER = 'fixtures';
+process.env.MARKET_DATA_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+process.env.CACHE_BACKEND = 'memory';
+
+const express = require('express');
+const { calculateCorrelationMatrix } = require('../src/services/correlations');
+const { calculatePortfolioRisk } = require('../src/services/portfolio');
+const stocksRouter = require('../src/routes/stocks');
+const correlationsRouter = require('../src/routes/correlations');
+const portfolioRouter = require('../src/routes/portfolio');
+
+// Inside the recorded window, so results don't depend on today's date
+const WINDOW = { start: '2025-01-02', end: '2025-12-31' };
+
+let server;
+let baseUrl;
+const log = console.log;
+
+before(async () => {
+  // The services narrate every fetch on stdout, which the test runner also reads its
+  // results from; Node 20 misparses that output when it lands right after a result
+  console.log = () => {};
+
+  const app = express();
+  app.use(express.json());
+  app.use('/stocks', stocksRouter);
+  app.use('/correlations', correlationsRouter);
+  app.use('/portfolio', portfolioRouter);
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  console.log = log;
+  server.close();
+});
+
+test('correlation matrix from fixtures drops tickers without a recording', async () => {
+  const result = await calculateCorrelationMatrix(['AAPL', 'MSFT', 'NVDA', 'QQQQ'], WINDOW);
+
+  assert.deepEqual(result.stocks, ['AAPL', 'MSFT', 'NVDA']);
+  assert.equal(result.matrix.length, 3);
+  result.matrix.forEach((row, i) => {
+    assert.equal(row[i], 1);
+    row.forEach(value => assert.ok(value >= -1 && value <= 1));
+  });
+  assert.ok(result.observations[0][1] > 200);
+  assert.equal(result.metadata.AAPL.sector, 'Technology');
+});
+
+test('GET /correlations serves the second request from the cache', async () => {
+  const url = `${baseUrl}/correlations?tickers=AAPL,MSFT,SPY&start=${WINDOW.start}&end=${WINDOW.end}`;
+
+  const first = await fetch(url);
+  assert.equal(first.status, 200);
+  const body = await first.json();
+  assert.equal(body.fromCache, false);
+  assert.deepEqual(body.stocks, ['AAPL', 'MSFT', 'SPY']);
+
+  const second = await (await fetch(url)).json();
+  assert.equal(second.fromCache, true);
+  assert.deepEqual(second.matrix, body.matrix);
+});
+
+test('GET /correlations rejects an unrecorded adjustFor benchmark', async () => {
+  const response = await fetch(`${baseUrl}/correlations?tickers=AAPL,MSFT&adjustFor=QQQQ&start=${WINDOW.start}`);
+
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error.code, 'INVALID_BENCHMARK');
+});
+
+test('GET /stocks/history returns 404 for a ticker without a recording', async () => {
+  const response = await fetch(`${baseUrl}/stocks/history/QQQQ`);
+
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).error.code, 'TICKER_NOT_FOUND');
+});
+
+test('GET /correlations/pair returns 404 when one side has no recording', async () => {
+  const response = await fetch(`${baseUrl}/correlations/pair/AAPL/QQQQ`);
+
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).error.code, 'TICKER_NOT_FOUND');
+});
+
+test('malformed tickers are rejected before they reach the history store', async () => {
+  const history = await fetch(`${baseUrl}/stocks/history/${encodeURIComponent('../AAPL')}`);
+  assert.equal(history.status, 400);
+  assert.equal((await history.json()).error.code, 'INVALID_TICKER');
+
+  const correlations = await fetch(`${baseUrl}/correlations?tickers=AAPL,${encodeURIComponent('MSFT/x')}`);
+  assert.equal(correlations.status, 400);
+  assert.equal((await correlations.json()).error.code, 'INVALID_TICKERS');
+});
+
+test('portfolio risk refuses weights that net to zero once unknown tickers drop out', async () => {
+  const positions = [
+    { ticker: 'AAPL', weight: 1 },
+    { ticker: 'MSFT', weight: -1 },
+    { ticker: 'QQQQ', weight: 1 }
+  ];
+
+  const risk = await calculatePortfolioRisk(positions, WINDOW);
+
+  assert.equal(risk.invalidWeights, true);
+  assert.deepEqual(risk.missing, ['QQQQ']);
+});
+
+test('a market-adjusted matrix leaves the benchmark itself out', async () => {
+  const result = await calculateCorrelationMatrix(['AAPL', 'MSFT', 'SPY'], { ...WINDOW, adjustFor: 'SPY' });
+
+  assert.deepEqual(result.stocks, ['AAPL', 'MSFT']);
+  assert.deepEqual(Object.keys(result.betas), ['AAPL', 'MSFT']);
+  assert.ok(Number.isFinite(result.matrix[0][1]));
+});
+
+test('POST /correlations/refresh accepts lowercase tickers', async () => {
+  const response = await fetch(`${baseUrl}/correlations/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ tickers: ['aapl', ' msft'], ...WINDOW })
+  });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual((await response.json()).stocks, ['AAPL', 'MSFT']);
+});
+
+test('GET /correlations with no bars in range is an error, not a cached empty graph', async () => {
+  // The fixtures hold daily bars only
+  const url = `${baseUrl}/correlations?tickers=AAPL,MSFT&interval=1h&days=5`;
+
+  const first = await fetch(url);
+  assert.equal(first.status, 400);
+  assert.equal((await first.json()).error.code, 'INSUFFICIENT_HISTORY');
+
+  const second = await fetch(url);
+  assert.equal(second.status, 400);
+});
+
+test('POST /portfolio/optimize serves a repeated request from the cache', async () => {
+  const request = () => fetch(`${baseUrl}/portfolio/optimize`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ tickers: ['aapl', 'MSFT', 'NVDA'], objective: 'maxSharpe', cap: 0.6 })
+  });
+
+  const first = await request();
+  assert.equal(first.status, 200);
+  const body = await first.json();
+  assert.equal(body.fromCache, false);
+
+  const second = await (await request()).json();
+  assert.equal(second.fromCache, true);
+  assert.deepEqual(second.weights, body.weights);
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  projectToBudget,
+  solveMeanVariance,
+  solveForTargetReturn,
+  solveMaxSharpe,
+  solveRiskParity
+} = require('../src/services/optimizer');
+
+function assertWeights(actual, expected, tolerance = 1e-4) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((weight, i) => {
+    assert.ok(Math.abs(weight - expected[i]) < tolerance, `weight ${i}: expected ${expected[i]}, got ${weight}`);
+  });
+}
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+// Uncorrelated assets with 20%, 30% and 40% volatility
+const DIAGONAL = [
+  [0.04, 0, 0],
+  [0, 0.09, 0],
+  [0, 0, 0.16]
+];
+const RETURNS = [0.08, 0.12, 0.16];
+
+// Wide enough that none of the closed-form solutions below touch a bound
+const UNCONSTRAINED = { lower: -1, upper: 2 };
+const LONG_ONLY = { lower: 0, upper: 1 };
+
+test('projection onto the budget sums to 1 and respects the box', () => {
+  const weights = projectToBudget([0.9, 0.5, -0.4, 0.1], 0, 0.4);
+
+  assert.ok(Math.abs(sum(weights) - 1) < 1e-9);
+  weights.forEach(weight => assert.ok(weight >= 0 && weight <= 0.4));
+  assertWeights(weights, [0.4, 0.4, 0, 0.2]);
+});
+
+test('minimum variance matches Σ⁻¹1 / 1ᵀΣ⁻¹1', () => {
+  // Uncorrelated: w ∝ 1 / σ², i.e. 25 : 11.1 : 6.25
+  assertWeights(solveMeanVariance(DIAGONAL, RETURNS, 0, UNCONSTRAINED), [0.590164, 0.262295, 0.147541]);
+
+  // Two assets at 10% and 20% volatility, ρ = 0.9: the closed form shorts the riskier one
+  const correlated = [[0.01, 0.018], [0.018, 0.04]];
+  assertWeights(solveMeanVariance(correlated, [0.05, 0.05], 0, UNCONSTRAINED), [1.571429, -0.571429]);
+});
+
+test('long-only and a cap bind where the closed form would cross them', () => {
+  const correlated = [[0.01, 0.018], [0.018, 0.04]];
+  assertWeights(solveMeanVariance(correlated, [0.05, 0.05], 0, LONG_ONLY), [1, 0]);
+
+  // Capped at 50%, the rest splits in the uncapped 1 / σ² ratio (0.32 : 0.18)
+  const capped = solveMeanVariance(DIAGONAL, RETURNS, 0, { lower: 0, upper: 0.5 });
+  assertWeights(capped, [0.5, 0.32, 0.18]);
+});
+
+test('a target return is met at the least variance', () => {
+  const weights = solveForTargetReturn(DIAGONAL, RETURNS, 0.12, LONG_ONLY);
+  const reached = weights.reduce((total, weight, i) => total + weight * RETURNS[i], 0);
+
+  assert.ok(reached >= 0.12 && reached - 0.12 < 1e-4, `return ${reached}`);
+  assert.ok(Math.abs(sum(weights) - 1) < 1e-9);
+  // Closed form on the budget and return constraints: w_i ∝ (a + b μ_i) / σ_i²
+  assertWeights(weights, [9 / 28, 10 / 28, 9 / 28], 1e-3);
+});
+
+test('max Sharpe matches the tangency portfolio Σ⁻¹(μ - r) / 1ᵀΣ⁻¹(μ - r)', () => {
+  // Uncorrelated with r = 0: w ∝ μ / σ², i.e. 2 : 1.33 : 1
+  assertWeights(solveMaxSharpe(DIAGONAL, RETURNS, 0, UNCONSTRAINED), [0.461538, 0.307692, 0.230769], 1e-3);
+});
+
+test('risk parity weights uncorrelated assets by 1 / σ', () => {
+  assertWeights(solveRiskParity(DIAGONAL, LONG_ONLY), [0.461538, 0.307692, 0.230769]);
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { criticalValues, engleGranger } = require('../src/services/pairs');
+
+// Park-Miller generator, so the constructed series are the same on every run
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+}
+
+function gaussian(random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+function randomWalk(random, length, start = 4) {
+  const walk = [start];
+  for (let t = 1; t < length; t++) {
+    walk.push(walk[t - 1] + 0.02 * gaussian(random));
+  }
+  return walk;
+}
+
+test('critical values follow the MacKinnon (2010) response surface', () => {
+  // b0 + b1 / 100 + b2 / 100² for T = 100
+  assert.deepEqual(criticalValues(100), { '1%': -4.008, '5%': -3.398, '10%': -3.087 });
+  // and tend to the asymptotic values as T grows
+  assert.deepEqual(criticalValues(1e9), { '1%': -3.896, '5%': -3.336, '10%': -3.044 });
+});
+
+test('a constructed cointegrated pair is cointegrated with the right hedge ratio', () => {
+  const random = seededRandom(42);
+  const logB = randomWalk(random, 250);
+  // logA = 0.5 + 1.5 logB + an AR(1) spread with φ = 0.5
+  let spread = 0;
+  const logA = logB.map(value => {
+    spread = 0.5 * spread + 0.01 * gaussian(random);
+    return 0.5 + 1.5 * value + spread;
+  });
+
+  const result = engleGranger(logA, logB);
+
+  assert.equal(result.cointegrated, true);
+  assert.ok(result.testStatistic < result.criticalValues['1%']);
+  assert.ok(Math.abs(result.hedgeRatio - 1.5) < 0.05, `hedge ratio ${result.hedgeRatio}`);
+  // Δs = (φ - 1) s(t-1), so the half-life is about ln 2 / 0.5
+  assert.ok(Math.abs(result.halfLife - Math.log(2) / 0.5) < 0.5, `half-life ${result.halfLife}`);
+  assert.equal(result.spread.length, 250);
+});
+
+test('two independent random walks are not cointegrated', () => {
+  const random = seededRandom(7);
+  const logA = randomWalk(random, 250);
+  const logB = randomWalk(random, 250);
+
+  const result = engleGranger(logA, logB);
+
+  assert.equal(result.cointegrated, false);
+  assert.ok(result.testStatistic > result.criticalValues['5%']);
+});
+
+test('the spread is the residual of log A on log B', () => {
+  const logB = [1, 2, 3, 4, 5, 6];
+  const logA = [2.1, 3.9, 6.2, 7.8, 10.1, 11.9];
+
+  const { hedgeRatio, intercept, spread } = engleGranger(logA, logB);
+
+  spread.forEach((value, i) => assert.ok(Math.abs(value - (logA[i] - intercept - hedgeRatio * logB[i])) < 1e-12));
+  assert.ok(Math.abs(spread.reduce((sum, value) => sum + value, 0)) < 1e-12);
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { covarianceMatrix, tailRisk } = require('../src/services/portfolio');
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${expected}, got ${actual}`);
+}
+
+// Twenty days from -10% to +9% in 1% steps; mean -0.5%
+const RETURNS = Array.from({ length: 20 }, (_, i) => (i - 10) / 100);
+
+test('historical VaR and ES come from the worst (1 - confidence) share of days', () => {
+  // 90%: the two worst days, -10% and -9%
+  const at90 = tailRisk(RETURNS, 0.02, 0.9);
+  assertClose(at90.historicalVaR, 0.09);
+  assertClose(at90.historicalES, 0.095);
+
+  // 95%: just the worst day
+  const at95 = tailRisk(RETURNS, 0.02, 0.95);
+  assertClose(at95.historicalVaR, 0.1);
+  assertClose(at95.historicalES, 0.1);
+});
+
+test('parametric VaR and ES match the normal closed forms', () => {
+  // VaR = z σ - μ, ES = σ φ(z) / (1 - c) - μ with z = 1.644854 at 95%
+  const { parametricVaR, parametricES } = tailRisk(RETURNS, 0.02, 0.95);
+
+  assertClose(parametricVaR, 0.0378971, 1e-6);
+  assertClose(parametricES, 0.0462543, 1e-6);
+});
+
+test('expected shortfall is never below VaR', () => {
+  [0.9, 0.95, 0.975, 0.99].forEach(confidence => {
+    const risk = tailRisk(RETURNS, 0.03, confidence);
+    assert.ok(risk.parametricES >= risk.parametricVaR);
+    assert.ok(risk.historicalES >= risk.historicalVaR);
+  });
+});
+
+test('sample covariance divides by n - 1', () => {
+  const covariance = covarianceMatrix([[1, 2, 3, 4], [2, 4, 6, 8], [4, 3, 2, 1]]);
+
+  assertClose(covariance[0][0], 5 / 3);
+  assertClose(covariance[0][1], 10 / 3);
+  assertClose(covariance[1][1], 20 / 3);
+  assertClose(covariance[0][2], -5 / 3);
+  assert.equal(covariance[1][2], covariance[2][1]);
+});
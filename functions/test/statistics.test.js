@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalCdf,
+  normalQuantile,
+  fisherStandardError,
+  correlationSignificance
+} = require('../src/services/statistics');
+
+function assertClose(actual, expected, tolerance = 1e-6) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${expected}, got ${actual}`);
+}
+
+test('normal quantile inverts the normal CDF', () => {
+  assertClose(normalQuantile(0.975), 1.959964);
+  assertClose(normalQuantile(0.01), -2.326348);
+  [0.001, 0.2, 0.5, 0.9, 0.999].forEach(p => assertClose(normalCdf(normalQuantile(p)), p, 1e-7));
+});
+
+test('Fisher-z p-value and 95% interval for r = 0.5 over 28 observations', () => {
+  // z = atanh(0.5) = 0.549306, standard error 1 / sqrt(25) = 0.2
+  const { pValue, ci } = correlationSignificance(0.5, 28);
+
+  assertClose(pValue, 0.0060229);
+  assertClose(ci[0], 0.1560284);
+  assertClose(ci[1], 0.7358185);
+});
+
+test('the interval widens as alpha shrinks and is symmetric in z', () => {
+  const at95 = correlationSignificance(-0.3, 100).ci;
+  const at99 = correlationSignificance(-0.3, 100, 'pearson', 0.01).ci;
+
+  assert.ok(at99[0] < at95[0] && at99[1] > at95[1]);
+  assertClose(Math.atanh(at95[0]) + Math.atanh(at95[1]), 2 * Math.atanh(-0.3), 1e-12);
+});
+
+test('rank estimators use the Fieller-Hartley-Pearson variances', () => {
+  assertClose(fisherStandardError(28), 0.2, 1e-12);
+  assertClose(fisherStandardError(28, 'spearman'), Math.sqrt(1.06 / 25), 1e-12);
+  assertClose(fisherStandardError(28, 'kendall'), Math.sqrt(0.437 / 24), 1e-12);
+  assertClose(correlationSignificance(0.5, 28, 'spearman').pValue, 0.0076380);
+});
+
+test('no significance without enough observations or a correlation', () => {
+  assert.deepEqual(correlationSignificance(0.9, 4), { pValue: null, ci: null });
+  assert.deepEqual(correlationSignificance(null, 100), { pValue: null, ci: null });
+});
+
+test('a perfect correlation keeps a finite interval', () => {
+  const { pValue, ci } = correlationSignificance(1, 50);
+
+  assert.equal(pValue, 0);
+  ci.forEach(bound => assert.ok(Number.isFinite(bound) && bound <= 1));
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { selectEdgePairs } = require('../src/services/topology');
+
+// Correlation decaying with distance along a line: ρ(i, j) = 0.9^|i - j|
+function chainMatrix(n) {
+  return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (__, j) => 0.9 ** Math.abs(i - j)));
+}
+
+// A valid correlation matrix without ties: one common factor with distinct loadings
+function factorMatrix(n) {
+  const loadings = Array.from({ length: n }, (_, i) => 0.3 + 0.6 * ((i * 7) % n) / n);
+  return loadings.map((a, i) => loadings.map((b, j) => (i === j ? 1 : a * b)));
+}
+
+function edgeKeys(pairs) {
+  return new Set(pairs.map(([i, j]) => `${i}-${j}`));
+}
+
+test('MST has n - 1 edges and follows the strongest links', () => {
+  const pairs = selectEdgePairs(chainMatrix(8), { topology: 'mst' });
+
+  assert.equal(pairs.length, 7);
+  assert.deepEqual(edgeKeys(pairs), new Set(['0-1', '1-2', '2-3', '3-4', '4-5', '5-6', '6-7']));
+});
+
+test('MST spans every node', () => {
+  const n = 12;
+  const pairs = selectEdgePairs(factorMatrix(n), { topology: 'mst' });
+  const touched = new Set(pairs.flat());
+
+  assert.equal(pairs.length, n - 1);
+  assert.equal(touched.size, n);
+});
+
+test('TMFG has 3(n - 2) distinct edges', () => {
+  [5, 8, 12].forEach(n => {
+    const pairs = selectEdgePairs(factorMatrix(n), { topology: 'pmfg' });
+
+    assert.equal(pairs.length, 3 * (n - 2));
+    assert.equal(edgeKeys(pairs).size, pairs.length);
+    pairs.forEach(([i, j]) => assert.ok(i < j));
+  });
+});
+
+test('TMFG on four or fewer nodes is the complete graph', () => {
+  assert.equal(selectEdgePairs(factorMatrix(4), { topology: 'pmfg' }).length, 6);
+});
+
+test('kNN keeps each node\'s k strongest neighbors', () => {
+  // Two tight pairs, weakly tied to each other
+  const matrix = [
+    [1, 0.9, 0.1, 0.2],
+    [0.9, 1, 0.15, 0.1],
+    [0.1, 0.15, 1, 0.8],
+    [0.2, 0.1, 0.8, 1]
+  ];
+
+  assert.deepEqual(edgeKeys(selectEdgePairs(matrix, { topology: 'knn', k: 1 })), new Set(['0-1', '2-3']));
+  // Second choices: 0-3, 1-2, 2-1 and 3-0, so two more edges
+  assert.equal(selectEdgePairs(matrix, { topology: 'knn', k: 2 }).length, 4);
+});
+
+test('kNN gives every node at least k edges and at most nk in total', () => {
+  const n = 10;
+  const k = 3;
+  const pairs = selectEdgePairs(factorMatrix(n), { topology: 'knn', k });
+  const degree = new Array(n).fill(0);
+  pairs.forEach(([i, j]) => {
+    degree[i]++;
+    degree[j]++;
+  });
+
+  assert.ok(pairs.length >= (n * k) / 2 && pairs.length <= n * k);
+  degree.forEach(d => assert.ok(d >= k));
+});
+
+test('threshold keeps pairs above |threshold| and skips missing correlations', () => {
+  const matrix = [
+    [1, -0.7, null],
+    [-0.7, 1, 0.4],
+    [null, 0.4, 1]
+  ];
+
+  assert.deepEqual(selectEdgePairs(matrix, { threshold: 0.5 }), [[0, 1]]);
+});